@@ -287,7 +287,9 @@ function createAvatarCard(config = {}) {
  * @param {boolean} config.completed - Whether day is completed
  * @param {boolean} config.current - Whether this is current day
  * @param {boolean} config.locked - Whether day is locked
- * @param {Function} config.onClick - Click handler
+ * @param {string} config.status - Custom status text (e.g. a schedule summary)
+ * @param {HTMLElement} config.body - Extra content shown under the status
+ * @param {Function} config.onClick - Click handler (pass null for a non-interactive card)
  * @returns {HTMLElement} Day card element
  */
 function createDayCard(config = {}) {
@@ -296,6 +298,8 @@ function createDayCard(config = {}) {
     completed = false,
     current = false,
     locked = false,
+    status: statusText = '',
+    body = null,
     onClick = () => {}
   } = config;
 
@@ -313,7 +317,10 @@ function createDayCard(config = {}) {
   const status = document.createElement('div');
   status.className = 'text-sm text-center';
   
-  if (completed) {
+  if (statusText) {
+    status.textContent = statusText;
+    status.className += ' text-secondary';
+  } else if (completed) {
     status.innerHTML = '<span class="icon icon-small text-success">check_circle</span> Complete';
     status.className += ' text-success';
   } else if (current) {
@@ -329,13 +336,23 @@ function createDayCard(config = {}) {
   
   content.appendChild(dayNumber);
   content.appendChild(status);
+
+  // Body is appended as a live element so its event listeners survive
+  if (body) {
+    content.appendChild(body);
+  }
   
-  return createHoverCard({
-    content: content.outerHTML,
+  const card = createHoverCard({
+    content: body ? content : content.outerHTML,
     onClick: locked ? () => {} : onClick,
     className: locked ? 'opacity-60 cursor-not-allowed' : '',
-    ariaLabel: `Day ${day} ${completed ? 'completed' : current ? 'current' : locked ? 'locked' : 'available'}`
+    ariaLabel: statusText
+      ? `Day ${day}: ${statusText}`
+      : `Day ${day} ${completed ? 'completed' : current ? 'current' : locked ? 'locked' : 'available'}`
   });
+  card.setAttribute('data-day', day);
+
+  return card;
 }
 
 /**
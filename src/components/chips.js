@@ -91,8 +91,11 @@ function handleDrop(e, targetActivity, onDropCallback) {
   const chipId = e.dataTransfer.getData('chip-id');
   const word = e.dataTransfer.getData('text/plain');
   
-  if (draggedChip && onDropCallback) {
-    onDropCallback(chipId, word, targetActivity, draggedChip);
+  // Chips built by utils/word-chip.js track their own drag state, so fall back to the id
+  const chip = draggedChip || (chipId ? document.querySelector(`[data-chip-id="${chipId}"]`) : null);
+
+  if (chip && onDropCallback) {
+    onDropCallback(chipId, word, targetActivity, chip);
   }
 }
 
@@ -101,9 +104,10 @@ function handleDrop(e, targetActivity, onDropCallback) {
  */
 class ChipManager {
   constructor() {
-    this.chips = new Map(); // chipId -> {word, activities, element}
+    this.chips = new Map(); // chipId -> {word, activities, element, containerId, details}
     this.containers = new Map(); // activity -> container element
     this.changeHandlers = [];
+    this.wordLookup = null; // word -> dictionary details, or null when not checked
     this.activityStates = new Map(); // groupId -> {vocabulary: boolean, spelling: boolean, phonics: boolean}
     this.initializeActivityTracking();
   }
@@ -130,6 +134,32 @@ class ChipManager {
     this.changeHandlers.push(handler);
   }
 
+  /**
+   * Set the function used to attach dictionary details to new chips
+   */
+  setWordLookup(lookup) {
+    this.wordLookup = lookup;
+  }
+
+  /**
+   * Look a chip word up, if a lookup is set
+   */
+  lookupWord(word) {
+    return this.wordLookup ? this.wordLookup(word) : null;
+  }
+
+  /**
+   * Look every chip up again, e.g. once the dictionary has loaded
+   */
+  refreshWordDetails() {
+    if (this.chips.size === 0) return;
+
+    for (const chipData of this.chips.values()) {
+      chipData.details = this.lookupWord(chipData.word);
+    }
+    this.triggerChange();
+  }
+
   /**
    * Trigger change handlers
    */
@@ -175,7 +205,8 @@ class ChipManager {
       word: word.trim(),
       activities: [...activities],
       element: chipElement,
-      containerId
+      containerId,
+      details: this.lookupWord(word.trim())
     });
 
     // Add to container
@@ -278,7 +309,8 @@ class ChipManager {
         result[activity].push({
           id: chipId,
           word: chipData.word,
-          activities: chipData.activities
+          activities: chipData.activities,
+          details: chipData.details
         });
       }
     }
@@ -8,6 +8,9 @@
 // Import unified createWordChip implementation
 import { createWordChip } from '../utils/word-chip.js';
 
+// Pointer, tap and keyboard drag and drop (HTML5 drag events never fire on touch screens)
+import { createDragLayer, enableDocumentDragDrop, DROP_EVENT } from '../utils/drag-layer.js';
+
 // Import CSS if not already loaded
 if (!document.querySelector('link[href*="design-system.css"]')) {
   const link = document.createElement('link');
@@ -18,6 +21,7 @@ if (!document.querySelector('link[href*="design-system.css"]')) {
 
 /**
  * Drag and Drop Container
+ * Accepts HTML5 drops, and pointer, tap or keyboard drops of any [data-drag-item] element
  * @param {Object} config - Container configuration
  * @param {string} config.label - Container label
  * @param {Function} config.onDrop - Drop handler
@@ -40,6 +44,7 @@ function createDropContainer(config = {}) {
   container.setAttribute('role', 'region');
   container.setAttribute('aria-label', label);
   container.setAttribute('aria-dropeffect', 'move');
+  container.setAttribute('data-drop-target', '');
   
   const content = document.createElement('div');
   content.className = 'pointer-events-none';
@@ -103,6 +108,16 @@ function createDropContainer(config = {}) {
     }
   });
   
+  // Touch, pen, tap-to-place and keyboard drops from the shared drag layer
+  enableDocumentDragDrop();
+  container.addEventListener(DROP_EVENT, (e) => {
+    if (canDrop(e.detail.data)) {
+      onDrop(e.detail.data, e);
+    } else {
+      e.preventDefault();
+    }
+  });
+  
   // Keyboard accessibility (for items moved via keyboard)
   container.setAttribute('tabindex', '0');
   
@@ -377,7 +392,7 @@ function createLetterAssembly(config = {}) {
     const slot = document.createElement('div');
     slot.className = 'letter-slot w-12 h-12 border-2 border-gray-300 rounded-lg flex items-center justify-center text-lg font-medium bg-white';
     slot.setAttribute('data-index', i.toString());
-    slot.setAttribute('role', 'listbox');
+    slot.setAttribute('role', 'button');
     slot.setAttribute('aria-label', `Letter position ${i + 1}`);
     
     wordSlots.push(slot);
@@ -388,75 +403,59 @@ function createLetterAssembly(config = {}) {
   const lettersContainer = document.createElement('div');
   lettersContainer.className = 'available-letters flex flex-wrap justify-center gap-3 mb-6';
   
-  const letterElements = letters.map(letter => {
+  const letterElements = letters.map((letter, index) => {
     const letterEl = document.createElement('div');
     letterEl.className = 'letter-option w-10 h-10 border border-gray-400 rounded-lg flex items-center justify-center text-sm font-medium cursor-move bg-gray-100 hover:bg-gray-200';
     letterEl.textContent = letter;
-    letterEl.draggable = true;
     letterEl.setAttribute('data-letter', letter);
-    letterEl.setAttribute('aria-grabbed', 'false');
-    
-    // Drag handlers
-    letterEl.addEventListener('dragstart', (e) => {
-      e.dataTransfer.setData('text/plain', letter);
-      letterEl.setAttribute('aria-grabbed', 'true');
-      letterEl.style.opacity = '0.5';
-    });
-    
-    letterEl.addEventListener('dragend', () => {
-      letterEl.setAttribute('aria-grabbed', 'false');
-      letterEl.style.opacity = '1';
-    });
-    
+    letterEl.setAttribute('data-letter-index', index.toString());
     return letterEl;
   });
   
   letterElements.forEach(el => lettersContainer.appendChild(el));
   
-  // Make slots droppable
-  wordSlots.forEach((slot, index) => {
-    slot.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      slot.classList.add('border-primary', 'bg-primary-light');
-    });
-    
-    slot.addEventListener('dragleave', () => {
-      slot.classList.remove('border-primary', 'bg-primary-light');
-    });
+  // Letter element in each slot, so repeated letters go back to the right tile
+  const placed = new Array(wordSlots.length).fill(null);
+  
+  const setSlot = (index, letterEl) => {
+    const slot = wordSlots[index];
+    const previous = placed[index];
+    if (previous) {
+      previous.style.display = 'flex';
+    }
     
-    slot.addEventListener('drop', (e) => {
-      e.preventDefault();
-      const letter = e.dataTransfer.getData('text/plain');
-      
-      slot.classList.remove('border-primary', 'bg-primary-light');
-      slot.textContent = letter;
-      slot.classList.add('border-success', 'text-success');
-      
-      // Remove letter from available letters
-      const letterEl = lettersContainer.querySelector(`[data-letter="${letter}"]`);
-      if (letterEl) {
-        letterEl.style.display = 'none';
-      }
-      
-      // Check completion
+    placed[index] = letterEl;
+    slot.textContent = letterEl ? letterEl.textContent : '';
+    slot.classList.toggle('border-success', Boolean(letterEl));
+    slot.classList.toggle('text-success', Boolean(letterEl));
+    slot.classList.toggle('border-gray-300', !letterEl);
+    if (letterEl) {
+      letterEl.style.display = 'none';
+    }
+    layer.refresh();
+  };
+  
+  // Drag with touch, mouse or pen, tap a letter then a slot, or use Enter/Space and the arrow keys
+  const layer = createDragLayer({
+    root: container,
+    itemSelector: '.letter-option',
+    targetSelector: '.letter-slot',
+    canDrag: letterEl => letterEl.style.display !== 'none',
+    canDrop: (letterEl, slot) => !placed[Number(slot.getAttribute('data-index'))],
+    onDrop: (letterEl, slot) => {
+      const index = Number(slot.getAttribute('data-index'));
+      setSlot(index, letterEl);
       checkCompletion();
-    });
-    
-    // Click to clear
-    slot.addEventListener('click', () => {
-      if (slot.textContent) {
-        // Return letter to available letters
-        const letter = slot.textContent;
-        const letterEl = lettersContainer.querySelector(`[data-letter="${letter}"]`);
-        if (letterEl) {
-          letterEl.style.display = 'flex';
-        }
-        
-        slot.textContent = '';
-        slot.classList.remove('border-success', 'text-success');
-        slot.classList.add('border-gray-300');
-      }
-    });
+      return `Placed ${letterEl.textContent} in letter position ${index + 1}`;
+    },
+    // Tap or Enter on a filled slot returns its letter
+    onTargetActivate: slot => {
+      const index = Number(slot.getAttribute('data-index'));
+      const letterEl = placed[index];
+      if (!letterEl) return null;
+      setSlot(index, null);
+      return `Took ${letterEl.textContent} out of letter position ${index + 1}`;
+    }
   });
   
   // Check if word is complete and correct
@@ -470,6 +469,7 @@ function createLetterAssembly(config = {}) {
           slot.classList.remove('border-success');
           slot.classList.add('border-success', 'bg-success', 'bg-opacity-10');
         });
+        layer.announce(`Correct! You spelled ${currentWord}`);
         
         setTimeout(() => {
           onComplete(true, currentWord);
@@ -479,6 +479,7 @@ function createLetterAssembly(config = {}) {
         wordSlots.forEach(slot => {
           slot.classList.add('border-error', 'text-error');
         });
+        layer.announce('Not quite. Tap a letter in the word to take it out.');
         
         setTimeout(() => {
           wordSlots.forEach(slot => {
@@ -491,6 +492,7 @@ function createLetterAssembly(config = {}) {
   
   container.appendChild(targetDisplay);
   container.appendChild(lettersContainer);
+  layer.refresh();
   
   return container;
 }
@@ -555,6 +557,9 @@ function renderInteractiveShowcase(container) {
       draggable: true,
       onClick: () => console.log('Word clicked:', wordData.word)
     });
+    // Also draggable by touch, tap and keyboard into the drop container below
+    chip.setAttribute('data-drag-item', '');
+    chip.setAttribute('data-drag-data', JSON.stringify({ word: wordData.word }));
     chipsContainer.appendChild(chip);
   });
   
@@ -0,0 +1,115 @@
+/**
+ * Twibble Adaptive Difficulty
+ * Serves review activities at an easier or harder level from the student's recent first-try accuracy
+ * Levels stay within the bounds the teacher set for the lesson (minDifficulty/maxDifficulty)
+ */
+
+/**
+ * Adaptive Difficulty Configuration
+ */
+const ADAPTIVE_CONFIG = {
+    defaultLevel: 2,
+    // What each level serves: letterShift moves the spelling pool's word-difficulty letter count,
+    // hints is how many steps of the activity's HINT_LADDERS entry a student may open (0 = none)
+    levels: {
+        1: { mcqOptions: 3, letterShift: -2, chunkDistractors: 0, hints: 2 },
+        2: { mcqOptions: 4, letterShift: 0, chunkDistractors: 1, hints: 1 },
+        3: { mcqOptions: 5, letterShift: 2, chunkDistractors: 2, hints: 0 }
+    },
+    // Rolling window of attempts at the current level, per activity type
+    windowSize: 5,
+    // Attempts needed at a level before it can change, so one lucky or bad answer does not move it
+    minAttempts: 3,
+    raiseAt: 0.8,
+    lowerAt: 0.5,
+    // Attempts kept per activity type
+    historyLimit: 20
+};
+
+/**
+ * Adaptive Difficulty Class
+ * Pure functions over a {activityType: [{correct, level, at}]} history map
+ */
+class AdaptiveDifficulty {
+    /**
+     * First-try success: completed, not skipped, not answered wrong, right on the first check and without hints
+     * @param {Object} outcome - Progress entry {completed, skipped, correct, tries, hints}
+     */
+    static isAccurate(outcome = {}) {
+        const usedHints = Array.isArray(outcome.hints) && outcome.hints.length > 0;
+        return Boolean(outcome.completed && !outcome.skipped && outcome.correct !== false && (outcome.tries || 1) === 1 && !usedHints);
+    }
+
+    /**
+     * Teacher bounds from lesson settings; a reversed pair is read as the narrower level
+     * @param {Object} settings - LessonContent.getSettings() result
+     * @returns {Object} {min, max}
+     */
+    static getBounds(settings = {}) {
+        const levels = Object.keys(ADAPTIVE_CONFIG.levels).map(Number);
+        const min = Number.isInteger(settings.minDifficulty) ? settings.minDifficulty : Math.min(...levels);
+        const max = Number.isInteger(settings.maxDifficulty) ? settings.maxDifficulty : Math.max(...levels);
+        return { min, max: Math.max(min, max) };
+    }
+
+    /**
+     * Share of accurate attempts among the most recent ones
+     * @returns {number|null} 0-1, or null with no attempts
+     */
+    static getAccuracy(attempts = []) {
+        const recent = attempts.slice(-ADAPTIVE_CONFIG.windowSize);
+        if (recent.length === 0) return null;
+        return recent.filter(attempt => attempt.correct).length / recent.length;
+    }
+
+    /**
+     * Level for the next activity of a type
+     * @param {Array} attempts - History for the activity type, oldest first
+     * @param {Object} bounds - {min, max} from getBounds
+     * @returns {number} Level within the bounds
+     */
+    static chooseLevel(attempts = [], bounds = AdaptiveDifficulty.getBounds()) {
+        const clamp = level => Math.min(bounds.max, Math.max(bounds.min, level));
+        const last = attempts[attempts.length - 1];
+        const level = clamp(last ? last.level : ADAPTIVE_CONFIG.defaultLevel);
+
+        // Only attempts at the current level count, so every change needs fresh evidence
+        let run = 0;
+        while (run < attempts.length && attempts[attempts.length - 1 - run].level === level) run++;
+        if (run < ADAPTIVE_CONFIG.minAttempts) return level;
+
+        const accuracy = AdaptiveDifficulty.getAccuracy(attempts.slice(-run));
+        if (accuracy >= ADAPTIVE_CONFIG.raiseAt) return clamp(level + 1);
+        if (accuracy <= ADAPTIVE_CONFIG.lowerAt) return clamp(level - 1);
+        return level;
+    }
+
+    /**
+     * What an activity at a level serves
+     * @returns {Object} {level, mcqOptions, letterShift, chunkDistractors, hints}
+     */
+    static getParams(level) {
+        const params = ADAPTIVE_CONFIG.levels[level] || ADAPTIVE_CONFIG.levels[ADAPTIVE_CONFIG.defaultLevel];
+        return { level: ADAPTIVE_CONFIG.levels[level] ? level : ADAPTIVE_CONFIG.defaultLevel, ...params };
+    }
+
+    /**
+     * History with one more attempt, trimmed to historyLimit per type
+     * @returns {Object} New history map
+     */
+    static record(history = {}, type, attempt) {
+        const attempts = [...(history[type] || []), attempt].slice(-ADAPTIVE_CONFIG.historyLimit);
+        return { ...history, [type]: attempts };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdaptiveDifficulty, ADAPTIVE_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.AdaptiveDifficulty = AdaptiveDifficulty;
+    window.ADAPTIVE_CONFIG = ADAPTIVE_CONFIG;
+}
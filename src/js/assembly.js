@@ -0,0 +1,151 @@
+/**
+ * Twibble Assembly State
+ * Ordered slots that students fill with pieces (phonics chunks or letters) to build a word
+ * Pieces are tracked by id, so repeated chunks or letters never get mixed up
+ */
+
+/**
+ * Assembly State Class
+ * One instance per phonics or spelling review - no DOM or storage access
+ */
+class AssemblyState {
+    /**
+     * @param {Object} config - Assembly configuration
+     * @param {Array<string>} config.target - Pieces in the right order, one per slot
+     * @param {Array<string>} config.pool - Pieces offered to the student, in display order
+     */
+    constructor(config = {}) {
+        const { target = [], pool = target } = config;
+
+        if (target.length === 0) {
+            throw new Error('Assembly needs at least one target piece');
+        }
+
+        this.target = target.map(text => String(text));
+        this.pieces = pool.map((text, id) => ({ id, text: String(text) }));
+        this.slots = new Array(this.target.length).fill(null);
+        this.placements = [];
+        // Slots filled by a hint; they cannot be emptied
+        this.locked = new Set();
+        this.tries = 0;
+        this.solved = false;
+    }
+
+    getPiece(pieceId) {
+        return this.pieces.find(piece => piece.id === pieceId) || null;
+    }
+
+    isPlaced(pieceId) {
+        return this.slots.includes(pieceId);
+    }
+
+    isFull() {
+        return this.slots.every(pieceId => pieceId !== null);
+    }
+
+    /**
+     * Put a piece in a slot, or in the first empty slot when none is given
+     * @returns {number} Slot the piece went into, or -1 if it could not be placed
+     */
+    place(pieceId, slotIndex = this.slots.indexOf(null)) {
+        if (this.solved || !this.getPiece(pieceId) || this.isPlaced(pieceId)) return -1;
+        if (slotIndex < 0 || slotIndex >= this.slots.length || this.slots[slotIndex] !== null) return -1;
+
+        this.slots[slotIndex] = pieceId;
+        this.placements.push(slotIndex);
+        return slotIndex;
+    }
+
+    /**
+     * Take the piece out of a slot
+     * @returns {number|null} Id of the removed piece
+     */
+    remove(slotIndex) {
+        if (this.solved || this.locked.has(slotIndex)) return null;
+
+        const pieceId = this.slots[slotIndex];
+        if (pieceId === null || pieceId === undefined) return null;
+
+        this.slots[slotIndex] = null;
+        this.placements = this.placements.filter(index => index !== slotIndex);
+        return pieceId;
+    }
+
+    /**
+     * Hint: put the right piece in a slot and lock it there
+     * A wrong piece in the slot goes back to the pool; the right piece is moved if it sits elsewhere
+     * @returns {number} Id of the revealed piece, or -1 if nothing could be revealed
+     */
+    reveal(slotIndex = 0) {
+        if (this.solved || slotIndex < 0 || slotIndex >= this.slots.length) return -1;
+
+        const isRightAt = (pieceId, index) => this.getPiece(pieceId).text.toLowerCase() === this.target[index].toLowerCase();
+        const current = this.slots[slotIndex];
+        if (current === null || !isRightAt(current, slotIndex)) {
+            const matches = this.pieces.filter(candidate => candidate.text.toLowerCase() === this.target[slotIndex].toLowerCase());
+            // A free piece first, then one sitting in a slot where it is wrong anyway
+            const piece = matches.find(candidate => !this.isPlaced(candidate.id)) ||
+                matches.find(candidate => !isRightAt(candidate.id, this.slots.indexOf(candidate.id)));
+            if (!piece) return -1;
+
+            this.remove(slotIndex);
+            if (this.isPlaced(piece.id)) this.remove(this.slots.indexOf(piece.id));
+            this.slots[slotIndex] = piece.id;
+        }
+
+        // Not in placements, so Undo never takes it back
+        this.placements = this.placements.filter(index => index !== slotIndex);
+        this.locked.add(slotIndex);
+        return this.slots[slotIndex];
+    }
+
+    /**
+     * Take back the most recently placed piece
+     */
+    undo() {
+        if (this.placements.length === 0) return null;
+        return this.remove(this.placements[this.placements.length - 1]);
+    }
+
+    getAssembled() {
+        return this.slots.map(pieceId => pieceId === null ? null : this.getPiece(pieceId).text);
+    }
+
+    /**
+     * Compare the filled slots with the target; every full check counts as a try
+     * Matching is on the spelled-out word, so equal pieces are interchangeable
+     * @returns {Object} {complete, correct, tries, wrongSlots}
+     */
+    check() {
+        if (!this.isFull()) {
+            return { complete: false, correct: false, tries: this.tries, wrongSlots: [] };
+        }
+
+        const assembled = this.getAssembled();
+        const correct = assembled.join('').toLowerCase() === this.target.join('').toLowerCase();
+        const wrongSlots = correct ? [] : assembled
+            .map((text, index) => text.toLowerCase() === this.target[index].toLowerCase() ? -1 : index)
+            .filter(index => index >= 0);
+
+        this.tries++;
+        this.solved = correct;
+        return { complete: true, correct, tries: this.tries, wrongSlots };
+    }
+
+    /**
+     * Try Again: clear the slots that were wrong, keeping the right ones in place
+     */
+    clearWrong(wrongSlots) {
+        wrongSlots.forEach(slotIndex => this.remove(slotIndex));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AssemblyState };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.AssemblyState = AssemblyState;
+}
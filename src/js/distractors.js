@@ -0,0 +1,238 @@
+/**
+ * Twibble Distractors
+ * Picks plausible wrong answers for review activities: MCQ definitions, spelling letters and phonics chunks
+ * Choices are seeded by word and attempt, so the same attempt always shows the same options
+ */
+
+/**
+ * Distractor Configuration
+ */
+const DISTRACTOR_CONFIG = {
+    // Wrong definitions offered next to the right one
+    definitionCount: 3,
+    // Closest candidates kept before the seeded pick, as a multiple of the count
+    poolFactor: 3,
+    // Words from the same lesson are more tempting than unseen dictionary words
+    lessonWordBonus: 0.15,
+    // Extra letters in the spelling pool by word difficulty
+    letterCounts: { easy: 2, medium: 4, hard: 6 },
+    defaultDifficulty: 'medium'
+};
+
+/**
+ * Letters children commonly mix up, by kind of mistake
+ */
+const CONFUSABLE_LETTERS = {
+    mirrored: { b: ['d', 'p'], d: ['b', 'q'], p: ['q', 'b'], q: ['p', 'd'] },
+    vowels: { a: ['e', 'u'], e: ['i', 'a'], i: ['e', 'y'], o: ['u', 'a'], u: ['o', 'a'], y: ['i', 'e'] },
+    soundAlike: { c: ['k', 's'], k: ['c'], s: ['c', 'z'], z: ['s'], f: ['v'], v: ['f'], g: ['j'], j: ['g'], m: ['n'], n: ['m'], t: ['d'] },
+    // Fill-ins when a word has few confusable letters
+    common: ['e', 'a', 'r', 't', 'n', 's', 'l', 'o', 'i', 'h']
+};
+
+/**
+ * Distractors Class
+ * Pure functions - candidates are passed in, nothing is read from storage or the DOM
+ */
+class Distractors {
+    /**
+     * 32-bit FNV-1a hash of the seed parts
+     */
+    static hashSeed(...parts) {
+        let hash = 0x811C9DC5;
+        for (const char of parts.join(':')) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Seeded random number generator (mulberry32) returning floats in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Fisher-Yates shuffle into a new array
+     */
+    static shuffle(items, random) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    static normalizeDefinition(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Wrong definitions for a word, closest in part of speech and length first
+     * @param {Object} target - Word being reviewed {word, definition, partOfSpeech}
+     * @param {Object} sources - Candidate words
+     * @param {Array} sources.lessonWords - Other words in the lesson
+     * @param {Array} sources.dictionaryWords - Dictionary entries
+     * @param {number} sources.attempt - Attempt number used in the seed
+     * @param {number} sources.count - Number of distractors wanted
+     * @returns {Array<string>} Up to count definitions, never the correct one and never repeated
+     */
+    static pickDefinitions(target, sources = {}) {
+        const {
+            lessonWords = [],
+            dictionaryWords = [],
+            attempt = 0,
+            count = DISTRACTOR_CONFIG.definitionCount
+        } = sources;
+
+        const targetWord = String(target.word || '').toLowerCase();
+        const targetLength = String(target.definition || '').length || 1;
+        const seen = new Set([Distractors.normalizeDefinition(target.definition)]);
+        const usedWords = new Set([targetWord]);
+
+        const candidates = [
+            ...lessonWords.map(entry => ({ entry, fromLesson: true })),
+            ...dictionaryWords.map(entry => ({ entry, fromLesson: false }))
+        ].filter(({ entry }) => {
+            const word = String(entry && entry.word || '').toLowerCase();
+            const key = Distractors.normalizeDefinition(entry && entry.definition);
+            if (!word || !key || usedWords.has(word) || seen.has(key)) return false;
+            usedWords.add(word);
+            seen.add(key);
+            return true;
+        });
+
+        const scored = candidates.map(({ entry, fromLesson }) => {
+            const bothKnown = target.partOfSpeech && entry.partOfSpeech;
+            const partOfSpeechPenalty = bothKnown ? (entry.partOfSpeech === target.partOfSpeech ? 0 : 1) : 0.5;
+            const lengthPenalty = Math.abs(entry.definition.length - targetLength) / targetLength;
+            return {
+                definition: entry.definition,
+                word: String(entry.word).toLowerCase(),
+                score: partOfSpeechPenalty + lengthPenalty - (fromLesson ? DISTRACTOR_CONFIG.lessonWordBonus : 0)
+            };
+        }).sort((a, b) => a.score - b.score || a.word.localeCompare(b.word));
+
+        const random = Distractors.createRandom(Distractors.hashSeed(targetWord, attempt, 'definitions'));
+        const pool = scored.slice(0, count * DISTRACTOR_CONFIG.poolFactor);
+        return Distractors.shuffle(pool, random).slice(0, count).map(candidate => candidate.definition);
+    }
+
+    /**
+     * Extra letters for the spelling pool: mirrored letters (b/d/p/q), vowel swaps and doubled consonants
+     * @param {string} word - Word to spell
+     * @param {Object} options - Pick options
+     * @param {string} options.difficulty - easy, medium or hard; sets how many letters are added
+     * @param {number} options.shift - Letters added to or taken from the difficulty's count (adaptive level)
+     * @param {number} options.attempt - Attempt number used in the seed
+     * @returns {Array<string>} Lowercase letters; only a doubled consonant repeats a letter of the word
+     */
+    static pickLetters(word, options = {}) {
+        const { difficulty = DISTRACTOR_CONFIG.defaultDifficulty, attempt = 0 } = options;
+        const baseCount = DISTRACTOR_CONFIG.letterCounts[difficulty] || DISTRACTOR_CONFIG.letterCounts[DISTRACTOR_CONFIG.defaultDifficulty];
+        const count = Math.max(1, baseCount + (Number.isInteger(options.shift) ? options.shift : 0));
+        const letters = String(word || '').toLowerCase().replace(/[^a-z]/g, '').split('');
+        const inWord = new Set(letters);
+        const random = Distractors.createRandom(Distractors.hashSeed(letters.join(''), attempt, 'letters'));
+
+        const confusions = kind => Distractors.shuffle(
+            [...new Set(letters.flatMap(letter => CONFUSABLE_LETTERS[kind][letter] || []))].filter(letter => !inWord.has(letter)),
+            random
+        );
+
+        // A second copy of a single consonant tempts "hopp" for "hop"; only for medium and hard words
+        const doubled = difficulty === 'easy' ? [] : Distractors.shuffle(
+            [...inWord].filter(letter => !'aeiouy'.includes(letter) && !new RegExp(`${letter}${letter}`).test(letters.join(''))),
+            random
+        ).slice(0, 1);
+
+        // Take from each kind of mistake in turn so one kind does not crowd out the rest
+        const groups = [confusions('mirrored'), confusions('vowels'), doubled, confusions('soundAlike')];
+        const picked = [];
+        while (picked.length < count && groups.some(group => group.length > 0)) {
+            groups.forEach(group => {
+                const letter = group.shift();
+                if (letter && picked.length < count && !picked.includes(letter)) {
+                    picked.push(letter);
+                }
+            });
+        }
+
+        Distractors.shuffle(CONFUSABLE_LETTERS.common, random).forEach(letter => {
+            if (picked.length < count && !inWord.has(letter) && !picked.includes(letter)) {
+                picked.push(letter);
+            }
+        });
+
+        return picked;
+    }
+
+    /**
+     * Shuffled letter pool for a spelling assembly: the word's letters plus distractors
+     */
+    static buildLetterOptions(word, options = {}) {
+        const letters = String(word || '').toLowerCase().split('');
+        const random = Distractors.createRandom(Distractors.hashSeed(letters.join(''), options.attempt || 0, 'pool'));
+        return Distractors.shuffle([...letters, ...Distractors.pickLetters(word, options)], random);
+    }
+
+    /**
+     * Extra chunks for a phonics assembly, taken from the phonics of other lesson words
+     * Chunks closest in length to the word's own are preferred, so none stands out
+     * @param {Array<string>} chunks - The word's chunks
+     * @param {Object} options - {lessonWords, count, attempt}
+     * @returns {Array<string>} Up to count chunks the word does not use
+     */
+    static pickChunks(chunks, options = {}) {
+        const { lessonWords = [], count = 0, attempt = 0 } = options;
+        if (count <= 0) return [];
+
+        const own = new Set(chunks.map(chunk => String(chunk).toLowerCase()));
+        const averageLength = chunks.reduce((sum, chunk) => sum + String(chunk).length, 0) / (chunks.length || 1);
+        const candidates = [...new Set(lessonWords.flatMap(entry => Array.isArray(entry && entry.phonics) ? entry.phonics : [])
+            .map(chunk => String(chunk).toLowerCase())
+            .filter(chunk => chunk && !own.has(chunk)))];
+
+        const random = Distractors.createRandom(Distractors.hashSeed(chunks.join('-').toLowerCase(), attempt, 'chunks'));
+        const pool = candidates
+            .sort((a, b) => Math.abs(a.length - averageLength) - Math.abs(b.length - averageLength) || a.localeCompare(b))
+            .slice(0, count * DISTRACTOR_CONFIG.poolFactor);
+        return Distractors.shuffle(pool, random).slice(0, count);
+    }
+
+    /**
+     * Shuffled answer options for a vocabulary MCQ
+     * @returns {Array<Object>} [{text, correct}]
+     */
+    static buildDefinitionOptions(target, sources = {}) {
+        const distractors = Distractors.pickDefinitions(target, sources);
+        const random = Distractors.createRandom(Distractors.hashSeed(String(target.word || '').toLowerCase(), sources.attempt || 0, 'order'));
+
+        return Distractors.shuffle([
+            { text: target.definition, correct: true },
+            ...distractors.map(text => ({ text, correct: false }))
+        ], random);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Distractors, DISTRACTOR_CONFIG, CONFUSABLE_LETTERS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.Distractors = Distractors;
+    window.DISTRACTOR_CONFIG = DISTRACTOR_CONFIG;
+    window.CONFUSABLE_LETTERS = CONFUSABLE_LETTERS;
+}
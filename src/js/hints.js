@@ -0,0 +1,93 @@
+/**
+ * Twibble Hints
+ * Graded hints for review activities, cheapest first, each costing part of the activity's mastery credit
+ * The adaptive level sets how many a student may open; teachers can turn them off for a lesson
+ */
+
+/**
+ * Hint kinds and the mastery credit each one costs
+ */
+const HINT_TYPES = {
+    playAudio: { id: 'play-audio', cost: 0.15 },
+    revealFirst: { id: 'reveal-first', cost: 0.25 },
+    eliminateTwo: { id: 'eliminate-two', cost: 0.35 }
+};
+
+/**
+ * Hints offered per review activity, in the order they open
+ */
+const HINT_LADDERS = {
+    vocabulary: [
+        { type: 'playAudio', label: 'Hear the word' },
+        { type: 'eliminateTwo', label: 'Remove two answers' }
+    ],
+    phonics: [
+        { type: 'playAudio', label: 'Hear the word' },
+        { type: 'revealFirst', label: 'Show the first chunk' }
+    ],
+    spelling: [
+        { type: 'playAudio', label: 'Hear the word' },
+        { type: 'revealFirst', label: 'Show the first letter' }
+    ]
+};
+
+/**
+ * Hints Class
+ * Pure functions - the page applies each hint to its own activity
+ */
+class Hints {
+    /**
+     * Hints a student may open on an activity
+     * @param {string} activityType - vocabulary, phonics or spelling
+     * @param {number} allowed - Hint allowance from the adaptive level; 0 when the lesson has hints off
+     * @returns {Array} [{type, id, label, cost}]
+     */
+    static getLadder(activityType, allowed) {
+        const ladder = HINT_LADDERS[activityType] || [];
+        const count = Math.max(0, Math.min(ladder.length, Number.isInteger(allowed) ? allowed : 0));
+        return ladder.slice(0, count).map(step => ({ ...step, ...HINT_TYPES[step.type] }));
+    }
+
+    /**
+     * Next hint after the ones already used
+     * @param {Array} ladder - From getLadder
+     * @param {Array<string>} used - Ids of hints opened so far
+     * @returns {Object|null} Hint, or null when none are left
+     */
+    static next(ladder, used = []) {
+        return ladder.find(hint => !used.includes(hint.id)) || null;
+    }
+
+    /**
+     * Mastery credit left after the hints used
+     * @param {Array<string>} used - Hint ids
+     * @returns {number} 0-1
+     */
+    static getCredit(used = []) {
+        const byId = Object.fromEntries(Object.values(HINT_TYPES).map(hint => [hint.id, hint.cost]));
+        const cost = used.reduce((sum, id) => sum + (byId[id] || 0), 0);
+        return Math.max(0, Math.round((1 - cost) * 100) / 100);
+    }
+
+    /**
+     * Wrong MCQ options to take away: two, but always leaving one wrong answer next to the right one
+     * @param {Array<Object>} options - [{text, correct}] in display order
+     * @returns {Array<Object>} Options to remove
+     */
+    static pickEliminated(options) {
+        const wrong = options.filter(option => !option.correct);
+        return wrong.slice(0, Math.max(0, Math.min(2, wrong.length - 1)));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Hints, HINT_TYPES, HINT_LADDERS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.Hints = Hints;
+    window.HINT_TYPES = HINT_TYPES;
+    window.HINT_LADDERS = HINT_LADDERS;
+}
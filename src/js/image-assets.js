@@ -0,0 +1,223 @@
+/**
+ * Twibble Image Assets
+ * Word images for vocabulary cards, cached on the device in IndexedDB for 30 days
+ * Missing images and offline misses get a generated placeholder: the word's first letter on a brand color
+ */
+
+/**
+ * Image Asset Configuration
+ */
+const IMAGE_ASSET_CONFIG = {
+    dbName: 'twibble-assets',
+    dbVersion: 1,
+    storeName: 'images',
+    // PRD: cached assets expire after 30 days
+    maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+    // Design-system colors (--color-primary, --color-primary-hover, --color-info) that keep white text readable
+    placeholderColors: ['#D97706', '#B45309', '#3B82F6'],
+    placeholderText: '#FFFFFF',
+    placeholderFont: "Poppins, -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif"
+};
+
+/**
+ * In-memory cache used when IndexedDB is unavailable (private browsing, tests)
+ */
+class MemoryImageStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    get(url) {
+        return Promise.resolve(this.records.get(url) || null);
+    }
+
+    put(record) {
+        this.records.set(record.url, record);
+        return Promise.resolve();
+    }
+
+    delete(url) {
+        this.records.delete(url);
+        return Promise.resolve();
+    }
+
+    getAll() {
+        return Promise.resolve(Array.from(this.records.values()));
+    }
+}
+
+/**
+ * IndexedDB cache keyed by image URL; records are {url, blob, type, savedAt}
+ */
+class IndexedDBImageStore {
+    constructor(indexedDB, options = {}) {
+        this.indexedDB = indexedDB;
+        this.dbName = options.dbName || IMAGE_ASSET_CONFIG.dbName;
+        this.storeName = options.storeName || IMAGE_ASSET_CONFIG.storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, IMAGE_ASSET_CONFIG.dbVersion);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    run(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    get(url) {
+        return this.run('readonly', store => store.get(url)).then(record => record || null);
+    }
+
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    delete(url) {
+        return this.run('readwrite', store => store.delete(url));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+}
+
+/**
+ * Image Assets Class
+ * getImage() never rejects; every failure ends in the placeholder
+ */
+class ImageAssets {
+    /**
+     * @param {Object} options - Replaceable dependencies for tests
+     * @param {Object} options.store - Cache with get/put/delete/getAll
+     * @param {Function} options.fetch - fetch implementation
+     * @param {Function} options.now - Clock in ms
+     * @param {Function} options.createObjectUrl - Blob => URL usable in <img src>
+     */
+    constructor(options = {}) {
+        const hasIndexedDB = typeof indexedDB !== 'undefined' && indexedDB;
+        this.store = options.store || (hasIndexedDB ? new IndexedDBImageStore(indexedDB) : new MemoryImageStore());
+        this.fetch = options.fetch || (typeof fetch === 'function' ? (...args) => fetch(...args) : null);
+        this.now = options.now || (() => Date.now());
+        this.maxAgeMs = options.maxAgeMs || IMAGE_ASSET_CONFIG.maxAgeMs;
+        this.createObjectUrl = options.createObjectUrl || (blob => URL.createObjectURL(blob));
+    }
+
+    /**
+     * Placeholder color for a word - the same word always gets the same color
+     */
+    static getPlaceholderColor(word) {
+        const text = String(word || '').toLowerCase();
+        let sum = 0;
+        for (const char of text) {
+            sum += char.charCodeAt(0);
+        }
+        return IMAGE_ASSET_CONFIG.placeholderColors[sum % IMAGE_ASSET_CONFIG.placeholderColors.length];
+    }
+
+    /**
+     * SVG data URL with the word's initial letter on a design-system color
+     */
+    static getPlaceholder(word) {
+        const match = String(word || '').match(/[a-z0-9]/i);
+        const letter = match ? match[0].toUpperCase() : '?';
+        const svg = [
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">',
+            `<rect width="200" height="200" rx="24" fill="${ImageAssets.getPlaceholderColor(word)}"/>`,
+            `<text x="100" y="100" dy="0.35em" text-anchor="middle" font-family="${IMAGE_ASSET_CONFIG.placeholderFont}"`,
+            ` font-size="120" font-weight="500" fill="${IMAGE_ASSET_CONFIG.placeholderText}">${letter}</text>`,
+            '</svg>'
+        ].join('');
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    isFresh(record) {
+        return Boolean(record && this.now() - record.savedAt < this.maxAgeMs);
+    }
+
+    /**
+     * Image for a lesson word: fresh cache, then network, then an expired copy, then the placeholder
+     * @param {Object|string} word - Lesson word {word, imageUrl} or plain text
+     * @returns {Promise<Object>} {url, source: 'cache'|'network'|'stale'|'placeholder', alt}
+     */
+    async getImage(word) {
+        const text = typeof word === 'string' ? word : (word && word.word) || '';
+        const imageUrl = typeof word === 'object' && word ? word.imageUrl : null;
+        const placeholder = { url: ImageAssets.getPlaceholder(text), source: 'placeholder', alt: `Letter ${text.charAt(0).toUpperCase()} for ${text}` };
+
+        if (!imageUrl) return placeholder;
+
+        const cached = await this.store.get(imageUrl).catch(error => {
+            console.warn('Image cache could not be read:', error);
+            return null;
+        });
+        if (this.isFresh(cached)) {
+            return { url: this.createObjectUrl(cached.blob), source: 'cache', alt: `Picture of ${text}` };
+        }
+
+        try {
+            if (!this.fetch) throw new Error('fetch is not available');
+
+            const response = await this.fetch(imageUrl);
+            if (!response.ok) {
+                throw new Error(`Image request failed: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            if (blob.type && !blob.type.startsWith('image/')) {
+                throw new Error(`Not an image: ${blob.type}`);
+            }
+
+            await this.store.put({ url: imageUrl, blob, type: blob.type, savedAt: this.now() }).catch(error => {
+                console.warn('Image could not be cached:', error);
+            });
+            return { url: this.createObjectUrl(blob), source: 'network', alt: `Picture of ${text}` };
+        } catch (error) {
+            // Offline or missing: an expired copy is still better than a letter
+            if (cached) {
+                return { url: this.createObjectUrl(cached.blob), source: 'stale', alt: `Picture of ${text}` };
+            }
+            console.warn(`Image for "${text}" is unavailable, using a placeholder:`, error.message);
+            return placeholder;
+        }
+    }
+
+    /**
+     * Remove cached images older than the expiry
+     * @returns {Promise<number>} Number of images removed
+     */
+    async prune() {
+        const records = await this.store.getAll();
+        const expired = records.filter(record => !this.isFresh(record));
+        await Promise.all(expired.map(record => this.store.delete(record.url)));
+        return expired.length;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageAssets, MemoryImageStore, IndexedDBImageStore, IMAGE_ASSET_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.ImageAssets = ImageAssets;
+    window.IMAGE_ASSET_CONFIG = IMAGE_ASSET_CONFIG;
+    window.twibbleImages = new ImageAssets();
+}
@@ -0,0 +1,142 @@
+/**
+ * Twibble Lesson Content
+ * Resolves a student's stored lesson and builds the word list for one lesson day
+ * New words come first, followed by the review words from earlier days
+ */
+
+/**
+ * Outcomes of resolving a lesson day
+ */
+const LESSON_DAY_STATES = {
+    ready: 'ready',
+    lessonNotFound: 'lesson-not-found',
+    dayNotFound: 'day-not-found',
+    locked: 'locked'
+};
+
+/**
+ * Per-lesson rules a teacher can relax, e.g. for older grades
+ * Numbers are whole and clamped to min..max; anything missing or invalid uses the default
+ */
+const LESSON_SETTINGS = {
+    // Times each side of a NEW word's flip card must be seen before Continue; 0 turns the rule off
+    flipCardViews: { default: 2, min: 0, max: 2 },
+    // Easiest and hardest level adaptive review activities may be served at (ADAPTIVE_CONFIG.levels)
+    minDifficulty: { default: 1, min: 1, max: 3 },
+    maxDifficulty: { default: 3, min: 1, max: 3 },
+    // Graded hints in review activities; off for assessment days
+    hints: { default: true }
+};
+
+/**
+ * Lesson Content Class
+ * Pure functions over stored student lessons - no DOM or storage access
+ */
+class LessonContent {
+    /**
+     * Stable word id used in progress keys ("<id>_<activity>")
+     */
+    static getWordId(word) {
+        return String(word).trim().toLowerCase();
+    }
+
+    /**
+     * Whether a stored lesson carries playable content
+     */
+    static hasContent(lesson) {
+        return Boolean(lesson && Array.isArray(lesson.words) && lesson.schedule && Array.isArray(lesson.schedule.days));
+    }
+
+    /**
+     * Whether the student dashboard has this day locked
+     */
+    static isDayLocked(lesson, dayNumber) {
+        const progress = Array.isArray(lesson.dayProgress) ? lesson.dayProgress : [];
+        const day = progress.find(entry => entry.day === dayNumber);
+        return Boolean(day && day.status === 'locked');
+    }
+
+    /**
+     * Lesson settings with defaults filled in
+     * @param {Object} lesson - Stored student lesson or draft with optional settings
+     * @returns {Object} One value per LESSON_SETTINGS key
+     */
+    static getSettings(lesson) {
+        const stored = lesson && lesson.settings && typeof lesson.settings === 'object' ? lesson.settings : {};
+
+        return Object.fromEntries(Object.entries(LESSON_SETTINGS).map(([key, rule]) => {
+            const value = stored[key];
+            if (typeof rule.default === 'boolean') {
+                return [key, typeof value === 'boolean' ? value : rule.default];
+            }
+            return [key, Number.isInteger(value) ? Math.min(rule.max, Math.max(rule.min, value)) : rule.default];
+        }));
+    }
+
+    /**
+     * Word entries for one day, new words first
+     * @param {Object} lesson - Stored student lesson with words and schedule
+     * @param {number} dayNumber - Day (1-based)
+     * @returns {Array|null} [{id, word, definition, phonics, activities, status}] or null if the day does not exist
+     */
+    static buildDayWords(lesson, dayNumber) {
+        const day = lesson.schedule.days.find(entry => entry.day === dayNumber);
+        if (!day) return null;
+
+        const entriesByWord = new Map(lesson.words.map(entry => [LessonContent.getWordId(entry.word), entry]));
+        const toWord = (word, status) => {
+            const entry = entriesByWord.get(LessonContent.getWordId(word)) || { word };
+            return {
+                ...entry,
+                id: LessonContent.getWordId(word),
+                word: entry.word,
+                definition: entry.definition || null,
+                phonics: Array.isArray(entry.phonics) && entry.phonics.length > 0 ? entry.phonics : [entry.word],
+                activities: Array.isArray(entry.activities) && entry.activities.length > 0 ? entry.activities : ['vocabulary'],
+                status
+            };
+        };
+
+        return [
+            ...day.newWords.map(word => toWord(word, 'new')),
+            ...day.reviewWords.map(word => toWord(word, 'review'))
+        ];
+    }
+
+    /**
+     * Find a lesson day among the student's lessons
+     * @param {Array} lessons - Stored student lessons
+     * @param {string} lessonId - Lesson id from the URL
+     * @param {number} dayNumber - Requested day; falls back to the lesson's current day
+     * @returns {Object} {state, lesson, dayNumber, words}
+     */
+    static resolveDay(lessons, lessonId, dayNumber) {
+        const lesson = (lessons || []).find(entry => entry && entry.id === lessonId);
+        if (!lessonId || !LessonContent.hasContent(lesson)) {
+            return { state: LESSON_DAY_STATES.lessonNotFound, lesson: lesson || null, dayNumber, words: [] };
+        }
+
+        const day = Number.isInteger(dayNumber) && dayNumber > 0 ? dayNumber : (lesson.currentDay || 1);
+        const words = LessonContent.buildDayWords(lesson, day);
+        if (!words) {
+            return { state: LESSON_DAY_STATES.dayNotFound, lesson, dayNumber: day, words: [] };
+        }
+        if (LessonContent.isDayLocked(lesson, day)) {
+            return { state: LESSON_DAY_STATES.locked, lesson, dayNumber: day, words: [] };
+        }
+
+        return { state: LESSON_DAY_STATES.ready, lesson, dayNumber: day, words };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LessonContent, LESSON_DAY_STATES, LESSON_SETTINGS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.LessonContent = LessonContent;
+    window.LESSON_DAY_STATES = LESSON_DAY_STATES;
+    window.LESSON_SETTINGS = LESSON_SETTINGS;
+}
@@ -0,0 +1,222 @@
+/**
+ * Twibble Lesson Progress
+ * Reads stored activity progress back: where a day resumes, when it is done, which day unlocks next
+ * and how many of the lesson's words the student has finished
+ */
+
+// Lesson content lives in the shared global scope in the browser, require() under Node
+const lessonContentModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./lesson-content.js')
+    : window;
+
+/**
+ * Day states kept in a student lesson's dayProgress
+ * Available is only shown on the dashboard: an unlocked, unfinished day that is not the current one
+ */
+const DAY_STATUSES = {
+    available: 'available',
+    current: 'current',
+    completed: 'completed',
+    locked: 'locked'
+};
+
+/**
+ * Student dashboard list controls
+ */
+const LESSON_FILTERS = {
+    all: 'all',
+    inProgress: 'in-progress',
+    completed: 'completed',
+    archived: 'archived'
+};
+
+const LESSON_SORTS = {
+    newest: 'newest',
+    title: 'title'
+};
+
+/**
+ * Lesson Progress Class
+ * Pure functions over lessons and day progress maps - storage is passed in by the page
+ */
+class LessonProgress {
+    /**
+     * Progress key of an activity ("<word id>_<activity type>")
+     * Same-session retries get their own key ("..._retry-<n>") so the missed first run stays on record
+     */
+    static getActivityKey(activity) {
+        const key = `${activity.word.id}_${activity.type}`;
+        return activity.retries ? `${key}_retry-${activity.retries}` : key;
+    }
+
+    /**
+     * Completed and skipped activities are both done for the day; only completed ones count as learned
+     */
+    static isFinished(entry) {
+        return Boolean(entry && (entry.completed || entry.skipped));
+    }
+
+    /**
+     * Where a student picks a day back up
+     * @param {Array} activities - The day's activity flow
+     * @param {Object} progress - Day progress map
+     * @returns {number} First unfinished activity; 0 when the whole day was done before, so it can be replayed
+     */
+    static findResumeIndex(activities, progress = {}) {
+        const index = activities.findIndex(activity => !LessonProgress.isFinished(progress[LessonProgress.getActivityKey(activity)]));
+        return index === -1 ? 0 : index;
+    }
+
+    static isDayComplete(activities, progress = {}) {
+        return activities.every(activity => LessonProgress.isFinished(progress[LessonProgress.getActivityKey(activity)]));
+    }
+
+    /**
+     * A day entry for every scheduled day, filling gaps in older records
+     */
+    static getDayProgress(lesson) {
+        const totalDays = lesson.schedule && Array.isArray(lesson.schedule.days) ? lesson.schedule.days.length : (lesson.totalDays || 1);
+        const stored = Array.isArray(lesson.dayProgress) ? lesson.dayProgress : [];
+
+        return Array.from({ length: totalDays }, (_, i) => {
+            const entry = stored.find(day => day.day === i + 1);
+            return { day: i + 1, status: entry ? entry.status : (i === 0 ? DAY_STATUSES.current : DAY_STATUSES.locked) };
+        });
+    }
+
+    /**
+     * Lesson with a finished day marked completed and the following day unlocked
+     * @param {Object} lesson - Stored student lesson
+     * @param {number} dayNumber - Day the student just finished
+     * @returns {Object} Updated copy of the lesson
+     */
+    static completeDay(lesson, dayNumber) {
+        const dayProgress = LessonProgress.getDayProgress(lesson).map(entry => {
+            if (entry.day === dayNumber) return { ...entry, status: DAY_STATUSES.completed };
+            if (entry.day === dayNumber + 1 && entry.status === DAY_STATUSES.locked) return { ...entry, status: DAY_STATUSES.current };
+            return entry;
+        });
+        const nextDay = dayProgress.find(entry => entry.status !== DAY_STATUSES.completed);
+
+        return {
+            ...lesson,
+            dayProgress,
+            // Once every day is done the student lands on the last one
+            currentDay: nextDay ? nextDay.day : dayProgress.length,
+            completedDays: dayProgress.filter(entry => entry.status === DAY_STATUSES.completed).length
+        };
+    }
+
+    /**
+     * Words whose activities were all completed on the day they were introduced
+     * @param {Object} lesson - Stored student lesson with words and schedule
+     * @param {Function} getDayProgress - dayNumber => day progress map
+     * @returns {number} Completed word count
+     */
+    static countCompletedWords(lesson, getDayProgress) {
+        const { LessonContent } = lessonContentModule;
+        if (!LessonContent.hasContent(lesson)) return 0;
+
+        return lesson.schedule.days.reduce((count, day) => {
+            const newWords = (LessonContent.buildDayWords(lesson, day.day) || []).filter(word => word.status === 'new');
+            if (newWords.length === 0) return count;
+
+            const progress = getDayProgress(day.day) || {};
+            const learned = newWords.filter(word => word.activities.every(type => {
+                const entry = progress[LessonProgress.getActivityKey({ word, type })];
+                return Boolean(entry && entry.completed);
+            }));
+            return count + learned.length;
+        }, 0);
+    }
+
+    /**
+     * Dashboard view of a lesson, worked out from its stored days and activity progress
+     * The current day is the first unlocked day not yet completed; other unlocked, unfinished days are available
+     * @param {Object} lesson - Stored student lesson with words and schedule
+     * @param {Function} getDayProgress - dayNumber => day progress map
+     * @returns {Object} {days, currentDay, completedDays, completedWords, totalWords, percent, started, finished}
+     */
+    static summarize(lesson, getDayProgress) {
+        const stored = LessonProgress.getDayProgress(lesson);
+        const current = stored.find(entry => entry.status !== DAY_STATUSES.completed && entry.status !== DAY_STATUSES.locked);
+        const days = stored.map(entry => {
+            if (entry.status === DAY_STATUSES.completed || entry.status === DAY_STATUSES.locked) return entry;
+            return { ...entry, status: entry === current ? DAY_STATUSES.current : DAY_STATUSES.available };
+        });
+
+        const totalWords = Array.isArray(lesson.words) ? lesson.words.length : 0;
+        const completedWords = LessonProgress.countCompletedWords(lesson, getDayProgress);
+        const completedDays = days.filter(entry => entry.status === DAY_STATUSES.completed).length;
+        const started = completedDays > 0 || days.some(entry =>
+            Object.values(getDayProgress(entry.day) || {}).some(LessonProgress.isFinished));
+
+        return {
+            days,
+            // Once every day is done the student lands on the last one, as in completeDay
+            currentDay: current ? current.day : days.length,
+            completedDays,
+            completedWords,
+            totalWords,
+            percent: totalWords > 0 ? Math.round((completedWords / totalWords) * 100) : 0,
+            started,
+            finished: days.length > 0 && completedDays === days.length
+        };
+    }
+
+    /**
+     * Lesson back at its first day, as when it was added; the day progress records are cleared by the page
+     * Word memory is shared by every lesson, so it is left alone
+     */
+    static reset(lesson) {
+        return {
+            ...lesson,
+            dayProgress: LessonProgress.getDayProgress({ ...lesson, dayProgress: undefined }),
+            currentDay: 1,
+            completedDays: 0,
+            completedWords: 0
+        };
+    }
+
+    /**
+     * Dashboard cards to show for a filter and sort order
+     * Archived lessons only appear under the archived filter
+     * @param {Array} entries - [{lesson, summary}] with summaries from summarize
+     * @param {Object} options - {filter: LESSON_FILTERS value, sort: LESSON_SORTS value}
+     * @returns {Array} Filtered, sorted copy
+     */
+    static arrange(entries, { filter = LESSON_FILTERS.all, sort = LESSON_SORTS.newest } = {}) {
+        const matches = ({ lesson, summary }) => {
+            if (filter === LESSON_FILTERS.archived) return Boolean(lesson.archivedAt);
+            if (lesson.archivedAt) return false;
+            if (filter === LESSON_FILTERS.inProgress) return summary.started && !summary.finished;
+            if (filter === LESSON_FILTERS.completed) return summary.finished;
+            return true;
+        };
+        const compare = sort === LESSON_SORTS.title
+            ? (a, b) => String(a.lesson.title || '').localeCompare(String(b.lesson.title || ''))
+            : (a, b) => String(b.lesson.addedAt || '').localeCompare(String(a.lesson.addedAt || ''));
+
+        return entries.filter(matches).sort(compare);
+    }
+
+    /**
+     * Lesson with completedWords brought up to date for the dashboard progress bar
+     */
+    static withCompletedWords(lesson, getDayProgress) {
+        return { ...lesson, completedWords: LessonProgress.countCompletedWords(lesson, getDayProgress) };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LessonProgress, DAY_STATUSES, LESSON_FILTERS, LESSON_SORTS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.LessonProgress = LessonProgress;
+    window.DAY_STATUSES = DAY_STATUSES;
+    window.LESSON_FILTERS = LESSON_FILTERS;
+    window.LESSON_SORTS = LESSON_SORTS;
+}
@@ -0,0 +1,371 @@
+/**
+ * Twibble Schema Migrations
+ * Ordered pipeline that upgrades persisted data to the current SCHEMA_VERSION
+ * Runs at startup before NavigationManager.init(), with a dry-run mode and a
+ * backup snapshot taken before each migration is applied
+ */
+
+// Storage service lives in the shared global scope in the browser, require() under Node
+const storageModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./storage.js')
+    : window;
+
+/**
+ * Keys written by builds that predated the storage namespace
+ */
+const LEGACY_RECORD_KEYS = {
+    userSettings: { key: 'profile:settings', type: 'json' },
+    currentRole: { key: 'profile:role', type: 'string' },
+    studentLessons: { key: 'lessons:student', type: 'json' },
+    lessonDraft: { key: 'drafts:current', type: 'json' },
+    currentDraftId: { key: 'drafts:current-id', type: 'string' }
+};
+
+const LEGACY_PROGRESS_PATTERN = /^lesson_(.+)_day_(\d+)$/;
+
+const STRING_RECORD_KEYS = new Set(
+    Object.values(LEGACY_RECORD_KEYS).filter(def => def.type === 'string').map(def => def.key)
+);
+
+/**
+ * Migration Definitions - Ordered by target version
+ * Each migrate(records, helpers) receives a Map of raw key -> value that it may
+ * mutate freely; the runner diffs the result and applies it in one step
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move pre-namespace keys into the twibble namespace and stamp records with a schema version',
+        migrate(records, { namespace, parseRecord, encodeRecord, isServiceKey }) {
+            const adopt = (legacyKey, targetKey, type) => {
+                const raw = records.get(legacyKey);
+                const record = parseRecord(raw, type);
+                records.delete(legacyKey);
+
+                if (!record) {
+                    records.set(`${namespace}:corrupt:${legacyKey}`, raw);
+                    return;
+                }
+
+                records.set(`${namespace}:${targetKey}`, encodeRecord(record.data, 1));
+            };
+
+            for (const key of [...records.keys()]) {
+                if (LEGACY_RECORD_KEYS[key]) {
+                    adopt(key, LEGACY_RECORD_KEYS[key].key, LEGACY_RECORD_KEYS[key].type);
+                    continue;
+                }
+
+                const progressMatch = key.match(LEGACY_PROGRESS_PATTERN);
+                if (progressMatch) {
+                    adopt(key, `progress:${progressMatch[1]}:day-${progressMatch[2]}`, 'json');
+                    continue;
+                }
+
+                // Namespaced records written before versioning get an envelope
+                if (key.startsWith(`${namespace}:`) && !isServiceKey(key)) {
+                    const type = STRING_RECORD_KEYS.has(key.slice(namespace.length + 1)) ? 'string' : 'json';
+                    const record = parseRecord(records.get(key), type);
+                    if (record && record.schemaVersion === 0) {
+                        records.set(key, encodeRecord(record.data, 1));
+                    }
+                }
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Store lesson drafts as a collection keyed by id with timestamps and a status',
+        migrate(records, { namespace, parseRecord, encodeRecord }) {
+            const currentKey = `${namespace}:drafts:current`;
+            const currentIdKey = `${namespace}:drafts:current-id`;
+            const collectionKey = `${namespace}:drafts:lessons`;
+
+            const current = records.has(currentKey) ? parseRecord(records.get(currentKey)) : null;
+            const currentId = records.has(currentIdKey) ? parseRecord(records.get(currentIdKey), 'string') : null;
+            records.delete(currentKey);
+            records.delete(currentIdKey);
+
+            const existing = records.has(collectionKey) ? parseRecord(records.get(collectionKey)) : null;
+            const drafts = existing && existing.data && typeof existing.data === 'object' ? existing.data : {};
+
+            if (current && current.data && typeof current.data === 'object') {
+                const { timestamp, ...draft } = current.data;
+                const id = draft.id || (currentId && currentId.data) || `draft-${timestamp || Date.now()}`;
+                const savedAt = new Date(timestamp || Date.now()).toISOString();
+
+                drafts[id] = {
+                    title: '',
+                    ...draft,
+                    id,
+                    status: 'draft',
+                    createdAt: savedAt,
+                    updatedAt: savedAt
+                };
+            }
+
+            if (Object.keys(drafts).length > 0) {
+                records.set(collectionKey, encodeRecord(drafts, 2));
+            }
+        }
+    }
+];
+
+/**
+ * Migration Runner Class
+ * Applies pending migrations in order and keeps a restorable backup of each step
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {TwibbleStorage} options.storage - Storage service instance
+     * @param {Array} options.migrations - Ordered migration definitions
+     */
+    constructor(options = {}) {
+        const {
+            storage = typeof window !== 'undefined' ? window.twibbleStorage : null,
+            migrations = MIGRATIONS
+        } = options;
+
+        this.storage = storage;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.lastReport = null;
+    }
+
+    get targetVersion() {
+        return this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 0;
+    }
+
+    /**
+     * Service bookkeeping keys are never migrated or backed up
+     */
+    isServiceKey(key) {
+        const { namespace } = this.storage;
+        const { META_KEYS } = storageModule;
+        return key === `${namespace}:${META_KEYS.schemaVersion}`
+            || key.startsWith(`${namespace}:${META_KEYS.backupPrefix}`)
+            || key.startsWith(`${namespace}:${META_KEYS.corruptPrefix}`);
+    }
+
+    /**
+     * Keys that belong to Twibble: namespaced records plus known legacy keys
+     */
+    isTwibbleKey(key) {
+        if (this.isServiceKey(key)) return false;
+
+        return key.startsWith(`${this.storage.namespace}:`)
+            || Boolean(LEGACY_RECORD_KEYS[key])
+            || LEGACY_PROGRESS_PATTERN.test(key);
+    }
+
+    getPendingMigrations() {
+        const storedVersion = this.storage.getSchemaVersion();
+        return this.migrations.filter(migration => migration.version > storedVersion);
+    }
+
+    /**
+     * Capture every Twibble record as raw key -> value
+     */
+    snapshot() {
+        const records = new Map();
+        this.storage.listKeys()
+            .filter(key => this.isTwibbleKey(key))
+            .forEach(key => records.set(key, this.storage.getRaw(key)));
+        return records;
+    }
+
+    /**
+     * Compare two snapshots and describe the writes needed to get from one to the other
+     */
+    diff(before, after) {
+        const changes = [];
+
+        after.forEach((value, key) => {
+            if (before.get(key) !== value) {
+                changes.push({ key, action: before.has(key) ? 'update' : 'create', value });
+            }
+        });
+
+        before.forEach((value, key) => {
+            if (!after.has(key)) {
+                changes.push({ key, action: 'delete' });
+            }
+        });
+
+        return changes;
+    }
+
+    getBackupKey(fromVersion) {
+        const { META_KEYS } = storageModule;
+        return `${this.storage.namespace}:${META_KEYS.backupPrefix}v${fromVersion}`;
+    }
+
+    /**
+     * Persist the pre-migration snapshot so the step can be rolled back
+     */
+    createBackup(fromVersion, toVersion, records) {
+        const backup = {
+            createdAt: new Date().toISOString(),
+            fromVersion,
+            toVersion,
+            records: Object.fromEntries(records)
+        };
+
+        this.storage.setRaw(this.getBackupKey(fromVersion), JSON.stringify(backup));
+        return backup;
+    }
+
+    /**
+     * @returns {Array} Stored backups, oldest first
+     */
+    listBackups() {
+        const { META_KEYS } = storageModule;
+        const prefix = `${this.storage.namespace}:${META_KEYS.backupPrefix}`;
+
+        return this.storage.listKeys()
+            .filter(key => key.startsWith(prefix))
+            .map(key => {
+                try {
+                    return JSON.parse(this.storage.getRaw(key));
+                } catch (error) {
+                    console.warn(`Ignoring unreadable backup "${key}"`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.fromVersion - b.fromVersion);
+    }
+
+    /**
+     * Put every Twibble record back the way it was before migrating from fromVersion
+     */
+    restoreBackup(fromVersion) {
+        const raw = this.storage.getRaw(this.getBackupKey(fromVersion));
+        if (!raw) {
+            throw new Error(`No backup found for schema version ${fromVersion}`);
+        }
+
+        const backup = JSON.parse(raw);
+        this.replaceRecords(new Map(Object.entries(backup.records)));
+        this.storage.putSchemaVersion(backup.fromVersion);
+
+        console.log(`Restored data from schema v${backup.fromVersion} backup (${backup.createdAt})`);
+    }
+
+    /**
+     * Make the stored Twibble records match the given snapshot exactly
+     */
+    replaceRecords(records) {
+        this.applyChanges(this.diff(this.snapshot(), records));
+    }
+
+    applyChanges(changes) {
+        changes.forEach(change => {
+            if (change.action === 'delete') {
+                this.storage.removeRaw(change.key);
+            } else {
+                this.storage.setRaw(change.key, change.value);
+            }
+        });
+    }
+
+    /**
+     * Run every pending migration in order
+     * @param {Object} options - Run options
+     * @param {boolean} options.dryRun - Report the changes without writing anything
+     * @returns {Object} Report {dryRun, fromVersion, toVersion, steps, error}
+     */
+    run(options = {}) {
+        const { dryRun = false } = options;
+        const fromVersion = this.storage.getSchemaVersion();
+        const report = { dryRun, fromVersion, toVersion: fromVersion, steps: [], error: null };
+        this.lastReport = report;
+
+        if (this.targetVersion !== storageModule.SCHEMA_VERSION) {
+            console.warn(`Migrations end at v${this.targetVersion} but records are written as v${storageModule.SCHEMA_VERSION}`);
+        }
+
+        const pending = this.getPendingMigrations();
+        if (pending.length === 0) {
+            return report;
+        }
+
+        if (!this.storage.isAvailable()) {
+            report.error = 'Browser storage is not available';
+            console.warn('Skipping migrations:', report.error);
+            return report;
+        }
+
+        const helpers = {
+            namespace: this.storage.namespace,
+            parseRecord: storageModule.TwibbleStorage.parseRecord,
+            encodeRecord: storageModule.TwibbleStorage.encodeRecord,
+            isServiceKey: key => this.isServiceKey(key)
+        };
+
+        let records = this.snapshot();
+
+        for (const migration of pending) {
+            const stepFrom = report.toVersion;
+            const working = new Map(records);
+
+            try {
+                migration.migrate(working, helpers);
+            } catch (error) {
+                report.error = `Migration to v${migration.version} failed: ${error.message}`;
+                console.error(report.error, error);
+                break;
+            }
+
+            const changes = this.diff(records, working);
+            report.steps.push({
+                version: migration.version,
+                description: migration.description,
+                changes: changes.map(({ key, action }) => ({ key, action }))
+            });
+
+            if (!dryRun) {
+                try {
+                    this.createBackup(stepFrom, migration.version, records);
+                } catch (error) {
+                    report.error = `Could not back up data before v${migration.version}: ${error.message}`;
+                    console.error(report.error, error);
+                    break;
+                }
+
+                try {
+                    this.applyChanges(changes);
+                    this.storage.putSchemaVersion(migration.version);
+                } catch (error) {
+                    // Leave the data exactly as it was before this step
+                    this.replaceRecords(records);
+                    report.error = `Applying v${migration.version} failed and was rolled back: ${error.message}`;
+                    console.error(report.error, error);
+                    break;
+                }
+            }
+
+            records = working;
+            report.toVersion = migration.version;
+        }
+
+        const label = dryRun ? 'Migration dry run' : 'Migrations';
+        console.log(`${label}: schema v${report.fromVersion} -> v${report.toVersion}`, report.steps);
+
+        return report;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MigrationRunner, MIGRATIONS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.MigrationRunner = MigrationRunner;
+    window.TWIBBLE_MIGRATIONS = MIGRATIONS;
+    window.twibbleMigrations = new MigrationRunner();
+}
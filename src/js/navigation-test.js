@@ -49,24 +49,30 @@ class NavigationTestSuite {
 
     backupLocalStorage() {
         this.originalLocalStorage = {
-            userSettings: localStorage.getItem('userSettings'),
-            currentRole: localStorage.getItem('currentRole')
+            userSettings: window.twibbleStorage.getUserSettings(),
+            currentRole: window.twibbleStorage.getCurrentRole()
         };
     }
 
     restoreLocalStorage() {
-        Object.entries(this.originalLocalStorage).forEach(([key, value]) => {
-            if (value !== null) {
-                localStorage.setItem(key, value);
-            } else {
-                localStorage.removeItem(key);
-            }
-        });
+        const { userSettings, currentRole } = this.originalLocalStorage;
+
+        if (userSettings) {
+            window.twibbleStorage.putUserSettings(userSettings);
+        } else {
+            window.twibbleStorage.deleteUserSettings();
+        }
+
+        if (currentRole) {
+            window.twibbleStorage.putCurrentRole(currentRole);
+        } else {
+            window.twibbleStorage.deleteCurrentRole();
+        }
     }
 
     clearTestStorage() {
-        localStorage.removeItem('userSettings');
-        localStorage.removeItem('currentRole');
+        window.twibbleStorage.deleteUserSettings();
+        window.twibbleStorage.deleteCurrentRole();
     }
 
     // Test execution methods
@@ -128,7 +134,7 @@ class NavigationTestSuite {
             const manager = window.navigationManager;
 
             // Test authenticated state
-            localStorage.setItem('userSettings', JSON.stringify(TEST_CONFIG.testData.validUser));
+            window.twibbleStorage.putUserSettings(TEST_CONFIG.testData.validUser);
             manager.userSettings = TEST_CONFIG.testData.validUser;
             
             this.assert(
@@ -137,7 +143,7 @@ class NavigationTestSuite {
             );
 
             // Test role validation
-            localStorage.setItem('currentRole', 'teacher');
+            window.twibbleStorage.putCurrentRole('teacher');
             manager.currentRole = 'teacher';
             
             // Mock current page as teacher dashboard
@@ -405,7 +411,7 @@ window.NavigationTests = {
             onboardingCompleted: true
         };
         
-        localStorage.setItem('userSettings', JSON.stringify(userSettings));
+        window.twibbleStorage.putUserSettings(userSettings);
         
         // Navigate through teacher flow
         console.log('1. Selecting teacher role...');
@@ -440,7 +446,7 @@ window.NavigationTests = {
             onboardingCompleted: true
         };
         
-        localStorage.setItem('userSettings', JSON.stringify(userSettings));
+        window.twibbleStorage.putUserSettings(userSettings);
         
         // Navigate through student flow
         console.log('1. Selecting student role...');
@@ -92,8 +92,12 @@ const NAVIGATION_CONFIG = {
 class NavigationManager {
     constructor() {
         this.currentPage = this.getCurrentPage();
+        this.storage = window.twibbleStorage;
+        if (!this.storage) {
+            throw new Error('Storage service not loaded - include ../js/storage.js before navigation.js');
+        }
         this.userSettings = this.loadUserSettings();
-        this.currentRole = localStorage.getItem('currentRole');
+        this.currentRole = this.storage.getCurrentRole();
         
         // Bind methods to preserve context
         this.navigate = this.navigate.bind(this);
@@ -127,16 +131,10 @@ class NavigationManager {
     }
 
     /**
-     * Load user settings from localStorage
+     * Load user settings through the storage service
      */
     loadUserSettings() {
-        try {
-            const settings = localStorage.getItem('userSettings');
-            return settings ? JSON.parse(settings) : null;
-        } catch (error) {
-            console.warn('Failed to load user settings:', error);
-            return null;
-        }
+        return this.storage.getUserSettings();
     }
 
     /**
@@ -149,6 +147,12 @@ class NavigationManager {
             return;
         }
 
+        // Keep a share link across onboarding and role selection
+        if ((pageConfig.requiresOnboarding && !this.userSettings)
+            || (pageConfig.requiresRole && pageConfig.requiresRole !== this.currentRole)) {
+            this.savePendingShare();
+        }
+
         // Check onboarding requirement
         if (pageConfig.requiresOnboarding && !this.userSettings) {
             console.log('Onboarding required, redirecting...');
@@ -164,6 +168,19 @@ class NavigationManager {
         }
     }
 
+    /**
+     * Remember an addLesson link so the student dashboard can finish adding it later
+     */
+    savePendingShare() {
+        if (!new URLSearchParams(window.location.search).has('addLesson')) return;
+
+        try {
+            this.storage.putPendingShare({ search: window.location.search, hash: window.location.hash });
+        } catch (error) {
+            console.warn('Could not keep the shared lesson link:', error);
+        }
+    }
+
     /**
      * Handle URL parameters (especially for shared lessons)
      */
@@ -190,16 +207,13 @@ class NavigationManager {
      */
     handleSharedLesson(lessonId) {
         if (this.currentPage !== 'student-dashboard.html') {
-            // If not on student dashboard, redirect there with the parameter
-            this.navigate(`student-dashboard.html?addLesson=${lessonId}`, true);
+            // If not on student dashboard, redirect there with the parameter and the lesson payload
+            this.navigate(`student-dashboard.html?addLesson=${encodeURIComponent(lessonId)}${window.location.hash}`, true);
             return;
         }
 
-        // The student dashboard will handle adding the lesson
+        // The student dashboard decodes the payload and cleans the URL once the lesson is added
         console.log('Shared lesson parameter handled:', lessonId);
-        
-        // Clean URL after processing
-        this.cleanURL();
     }
 
     /**
@@ -312,7 +326,7 @@ class NavigationManager {
      */
     setRoleAndNavigate(role) {
         try {
-            localStorage.setItem('currentRole', role);
+            this.storage.putCurrentRole(role);
             this.currentRole = role;
 
             if (role === 'teacher') {
@@ -331,7 +345,7 @@ class NavigationManager {
      */
     completeOnboarding(userSettings) {
         try {
-            localStorage.setItem('userSettings', JSON.stringify(userSettings));
+            this.storage.putUserSettings(userSettings);
             this.userSettings = userSettings;
             this.navigate('index.html');
         } catch (error) {
@@ -344,8 +358,8 @@ class NavigationManager {
      * Clear all user data and restart onboarding
      */
     resetOnboarding() {
-        localStorage.removeItem('userSettings');
-        localStorage.removeItem('currentRole');
+        this.storage.deleteUserSettings();
+        this.storage.deleteCurrentRole();
         this.userSettings = null;
         this.currentRole = null;
         this.navigate('onboarding.html', true);
@@ -1215,6 +1229,13 @@ const NavigationUtils = {
  * Creates global navigation manager and sets up utilities
  */
 function initializeNavigation() {
+    // Bring persisted data up to the current schema before anything reads it
+    if (window.twibbleMigrations) {
+        window.twibbleMigrations.run();
+    } else {
+        console.warn('Migration runner not loaded - include ../js/migrations.js after storage.js');
+    }
+    
     // Create global navigation manager
     window.navigationManager = new NavigationManager();
     
@@ -0,0 +1,316 @@
+/**
+ * Twibble Phonics Engine
+ * Splits words into the phonics chunks used by the phonics activity
+ * Graphemes come from the bundled chunk inventory, then syllabification rules divide the word
+ */
+
+/**
+ * Phonics Chunk Inventory
+ * Letter groups that are never split; longer entries are matched first
+ */
+const PHONICS_CHUNKS = {
+    consonantDigraphs: ['tch', 'dge', 'sch', 'sh', 'ch', 'th', 'wh', 'ph', 'ck', 'ng', 'kn', 'wr', 'gh', 'qu'],
+    vowelTeams: ['eigh', 'augh', 'eau', 'igh', 'ai', 'ay', 'ea', 'ee', 'ey', 'ie', 'oa', 'oe', 'oi', 'oy', 'oo', 'ou', 'ow', 'ue', 'ui', 'ew', 'au', 'aw'],
+    rControlledVowels: ['ar', 'er', 'ir', 'or', 'ur'],
+    // Onset clusters kept together at the start of a syllable
+    blends: ['scr', 'spl', 'spr', 'str', 'squ', 'thr', 'shr',
+        'bl', 'cl', 'fl', 'gl', 'pl', 'sl', 'br', 'cr', 'dr', 'fr', 'gr', 'pr', 'tr',
+        'sc', 'sk', 'sm', 'sn', 'sp', 'st', 'sw', 'tw'],
+    // Blends that pull a lone pair of consonants onto the next syllable (but-ter-fly, se-cret)
+    pairedBlends: ['bl', 'cl', 'fl', 'gl', 'pl', 'br', 'cr', 'dr', 'fr', 'gr', 'pr', 'tr'],
+    // Single consonant graphemes that close the syllable before them (rock-et, ex-it)
+    closingConsonants: ['x', 'ck', 'ng', 'tch', 'dge'],
+    prefixes: ['dis', 'mis', 'pre', 'non', 'sub', 'un', 're'],
+    suffixes: ['tion', 'sion', 'ture', 'ment', 'ness', 'less', 'ful', 'ing']
+};
+
+const PHONICS_SOURCES = {
+    override: 'override',
+    dictionary: 'dictionary',
+    rules: 'rules'
+};
+
+/**
+ * Phonics Engine Class
+ * Pure functions over words - no DOM or storage access
+ */
+class PhonicsEngine {
+    /**
+     * Lowercase letters only, one entry per word part ("ice-cream" -> ['ice', 'cream'])
+     */
+    static getWordParts(word) {
+        return String(word || '')
+            .toLowerCase()
+            .split(/[\s-]+/)
+            .map(part => part.replace(/[^a-z]/g, ''))
+            .filter(Boolean);
+    }
+
+    static isVowelLetter(letter, next) {
+        if ('aeiou'.includes(letter)) return true;
+        // "y" is a vowel unless it starts a syllable before another vowel (yes, canyon)
+        return letter === 'y' && !(next && 'aeiou'.includes(next));
+    }
+
+    /**
+     * Split a word into graphemes from the chunk inventory
+     * @returns {Array} [{text, vowel}]
+     */
+    static tokenize(word) {
+        const tokens = [];
+        const byLength = list => [...list].sort((a, b) => b.length - a.length);
+        const consonantDigraphs = byLength(PHONICS_CHUNKS.consonantDigraphs);
+        const vowelTeams = byLength(PHONICS_CHUNKS.vowelTeams);
+
+        let i = 0;
+        while (i < word.length) {
+            const rest = word.slice(i);
+            const afterTeam = team => word[i + team.length];
+
+            const vowelTeam = vowelTeams.find(team => rest.startsWith(team));
+            if (vowelTeam) {
+                tokens.push({ text: vowelTeam, vowel: true });
+                i += vowelTeam.length;
+                continue;
+            }
+
+            // r-controlled only when the r does not start the next syllable (car-pet, not ca-rrot)
+            const rControlled = PHONICS_CHUNKS.rControlledVowels.find(team =>
+                rest.startsWith(team) && !(afterTeam(team) && 'aeiouyr'.includes(afterTeam(team)))
+            );
+            if (rControlled) {
+                tokens.push({ text: rControlled, vowel: true });
+                i += rControlled.length;
+                continue;
+            }
+
+            const digraph = consonantDigraphs.find(unit => rest.startsWith(unit));
+            if (digraph) {
+                tokens.push({ text: digraph, vowel: false });
+                i += digraph.length;
+                continue;
+            }
+
+            // A leading "y" is always a consonant (yes, yellow)
+            const letter = word[i];
+            tokens.push({ text: letter, vowel: i === 0 ? 'aeiou'.includes(letter) : PhonicsEngine.isVowelLetter(letter, word[i + 1]) });
+            i++;
+        }
+
+        PhonicsEngine.markSilentE(tokens);
+        return tokens;
+    }
+
+    /**
+     * Final "e" after a consonant, and "-es"/"-ed" endings that add no syllable, are silent: make, cakes, played
+     */
+    static markSilentE(tokens) {
+        const texts = tokens.map(token => token.text);
+        const last = texts.length - 1;
+        const hasEarlierVowel = index => tokens.slice(0, index).some(token => token.vowel);
+
+        let index = -1;
+        if (texts[last] === 'e' && last > 0 && !tokens[last - 1].vowel) {
+            index = last;
+        } else if (texts[last - 1] === 'e' && texts[last] === 's' && !/^(s|x|z|c|g|ch|sh|tch|dge)$/.test(texts[last - 2] || '')) {
+            index = last - 1;
+        } else if (texts[last - 1] === 'e' && texts[last] === 'd' && !/^(t|d)$/.test(texts[last - 2] || '')) {
+            index = last - 1;
+        }
+
+        // After a consonant + l/r cluster the ending is still sounded (hun-dred, sa-cred)
+        const afterCluster = index === last - 1 && /^[lr]$/.test(texts[last - 2] || '') &&
+            tokens[last - 3] && !tokens[last - 3].vowel && texts[last - 3] !== texts[last - 2];
+
+        if (index > 0 && !afterCluster && hasEarlierVowel(index)) {
+            tokens[index].vowel = false;
+        }
+    }
+
+    /**
+     * Number of leading consonant graphemes that move onto the next syllable
+     * @param {Array<string>} cluster - Consonant graphemes between two vowels
+     */
+    static countOnset(cluster) {
+        if (cluster.length === 0) return 0;
+        if (cluster.length === 1) {
+            // V/CV (ti-ger) unless the consonant closes the syllable (rock-et)
+            return PHONICS_CHUNKS.closingConsonants.includes(cluster[0]) ? 0 : 1;
+        }
+
+        const joined = cluster.join('');
+        if (cluster.length === 2) {
+            // VC/CV (rab-bit, win-dow), keeping l and r blends together (se-cret)
+            return PHONICS_CHUNKS.pairedBlends.includes(joined) ? 2 : 1;
+        }
+
+        // VCCCV: keep a trailing blend with the next vowel (mon-ster, chil-dren), else split after two (pump-kin)
+        const blend = PHONICS_CHUNKS.blends
+            .filter(candidate => candidate.length <= 3)
+            .sort((a, b) => b.length - a.length)
+            .find(candidate => joined.endsWith(candidate) && candidate.length < joined.length);
+        if (blend) {
+            let count = 0;
+            let length = 0;
+            for (let i = cluster.length - 1; i >= 0 && length < blend.length; i--) {
+                length += cluster[i].length;
+                count++;
+            }
+            return length === blend.length ? count : 1;
+        }
+        return cluster.length - 2;
+    }
+
+    /**
+     * Syllables of a single word part from the rules alone
+     */
+    static syllabifyPart(word) {
+        if (!word) return [];
+
+        // Consonant-le ending forms its own syllable (ta-ble, ap-ple), but "ck" stays together (tick-le)
+        const consonantLe = word.match(/^(.*[aeiouy].*)([^aeiouy]le)$/);
+        if (consonantLe) {
+            const [, stem, ending] = consonantLe;
+            return stem.endsWith('c') && ending === 'kle'
+                ? [...PhonicsEngine.syllabifyPart(`${stem}k`), 'le']
+                : [...PhonicsEngine.syllabifyPart(stem), ending];
+        }
+
+        // Suffixes with a doubled consonant split between the pair (run-ning)
+        for (const suffix of PHONICS_CHUNKS.suffixes) {
+            if (!word.endsWith(suffix)) continue;
+            let stem = word.slice(0, -suffix.length);
+            let ending = suffix;
+            if (suffix === 'ing' && /([b-df-hj-np-tv-z])\1$/.test(stem)) {
+                ending = stem.slice(-1) + suffix;
+                stem = stem.slice(0, -1);
+            }
+            if (stem.length >= 2 && PhonicsEngine.tokenize(stem).some(token => token.vowel)) {
+                return [...PhonicsEngine.syllabifyPart(stem), ending];
+            }
+        }
+
+        // "-ed" after t or d is its own syllable (want-ed)
+        if (/[td]ed$/.test(word) && word.length > 4) {
+            return [...PhonicsEngine.syllabifyPart(word.slice(0, -2)), 'ed'];
+        }
+
+        // Prefixes, when the rest of the word can start a syllable (un-lock, re-play, dis-play)
+        const prefix = PHONICS_CHUNKS.prefixes.find(candidate => {
+            const rest = word.slice(candidate.length);
+            const onset = (rest.match(/^[^aeiouy]*/) || [''])[0];
+            return word.startsWith(candidate) && rest.length >= 4 &&
+                (onset.length === 1 || PHONICS_CHUNKS.blends.includes(onset) || ['sh', 'ch', 'th', 'wh', 'ph'].includes(onset));
+        });
+        if (prefix) {
+            return [prefix, ...PhonicsEngine.syllabifyPart(word.slice(prefix.length))];
+        }
+
+        return PhonicsEngine.syllabifyTokens(PhonicsEngine.tokenize(word));
+    }
+
+    static syllabifyTokens(tokens) {
+        const nuclei = tokens.map((token, index) => token.vowel ? index : -1).filter(index => index >= 0);
+        if (nuclei.length <= 1) return [tokens.map(token => token.text).join('')];
+
+        const syllables = [];
+        let start = 0;
+        for (let n = 0; n < nuclei.length - 1; n++) {
+            const cluster = tokens.slice(nuclei[n] + 1, nuclei[n + 1]).map(token => token.text);
+            const boundary = nuclei[n + 1] - PhonicsEngine.countOnset(cluster);
+            syllables.push(tokens.slice(start, boundary).map(token => token.text).join(''));
+            start = boundary;
+        }
+        syllables.push(tokens.slice(start).map(token => token.text).join(''));
+        return syllables;
+    }
+
+    /**
+     * Phonics chunks of a one-syllable word: onset + rime (c-at, fr-og),
+     * or onset + vowel team + ending (sh-ee-p, b-ir-d)
+     */
+    static chunkSyllable(syllable) {
+        const tokens = PhonicsEngine.tokenize(syllable);
+        const nucleus = tokens.findIndex(token => token.vowel);
+        if (nucleus < 0) return [syllable];
+
+        const onset = tokens.slice(0, nucleus).map(token => token.text).join('');
+        const vowel = tokens[nucleus].text;
+        const coda = tokens.slice(nucleus + 1).map(token => token.text).join('');
+        const isTeam = vowel.length > 1;
+
+        return [onset, isTeam && coda ? vowel : vowel + coda, isTeam ? coda : ''].filter(Boolean);
+    }
+
+    /**
+     * Rule-based split of any word
+     * @param {string} word - Word or short phrase
+     * @returns {Object} {syllables, chunks}
+     */
+    static split(word) {
+        const syllablesByPart = PhonicsEngine.getWordParts(word).map(part => PhonicsEngine.syllabifyPart(part));
+        return {
+            syllables: syllablesByPart.flat(),
+            chunks: syllablesByPart.flatMap(syllables =>
+                syllables.length === 1 ? PhonicsEngine.chunkSyllable(syllables[0]) : syllables
+            )
+        };
+    }
+
+    /**
+     * Chunks for a lesson word: teacher override, then the dictionary, then the rules
+     * @param {string} word - Lesson word
+     * @param {Object} options - Known chunks
+     * @param {Array<string>} options.override - Chunks set by the teacher
+     * @param {Array<string>} options.dictionary - Chunks from consolidated_words.json
+     * @returns {Object} {chunks, source}
+     */
+    static getChunks(word, options = {}) {
+        const { override = null, dictionary = null } = options;
+
+        if (PhonicsEngine.spellsWord(word, override)) {
+            return { chunks: [...override], source: PHONICS_SOURCES.override };
+        }
+        if (PhonicsEngine.spellsWord(word, dictionary)) {
+            return { chunks: [...dictionary], source: PHONICS_SOURCES.dictionary };
+        }
+        return { chunks: PhonicsEngine.split(word).chunks, source: PHONICS_SOURCES.rules };
+    }
+
+    /**
+     * Whether chunks spell the word exactly, ignoring case, spaces and hyphens
+     */
+    static spellsWord(word, chunks) {
+        if (!Array.isArray(chunks) || chunks.length === 0) return false;
+        if (chunks.some(chunk => typeof chunk !== 'string' || !chunk.trim())) return false;
+        return chunks.join('').toLowerCase() === PhonicsEngine.getWordParts(word).join('');
+    }
+
+    /**
+     * Read a teacher override typed as "el-e-phant" or "el e phant"
+     * @returns {Object} {valid, chunks, error}
+     */
+    static parseOverride(word, text) {
+        const chunks = String(text || '').split(/[\s\-·|/]+/).map(chunk => chunk.trim()).filter(Boolean);
+
+        if (chunks.length === 0) {
+            return { valid: false, chunks: [], error: 'Enter the chunks separated by dashes' };
+        }
+        if (!PhonicsEngine.spellsWord(word, chunks)) {
+            return { valid: false, chunks, error: `The chunks must spell "${word}" exactly` };
+        }
+        return { valid: true, chunks: chunks.map(chunk => chunk.toLowerCase()), error: null };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhonicsEngine, PHONICS_CHUNKS, PHONICS_SOURCES };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.PhonicsEngine = PhonicsEngine;
+    window.PHONICS_CHUNKS = PHONICS_CHUNKS;
+    window.PHONICS_SOURCES = PHONICS_SOURCES;
+}
@@ -0,0 +1,508 @@
+/**
+ * Twibble QR Code Encoder
+ * Dependency-free QR Code Model 2 encoder (byte mode, versions 1-40, error correction L/M/Q/H)
+ * Runs fully offline and renders share links to a canvas for the teacher share modal
+ */
+
+/**
+ * Error Correction Levels - ordinal indexes the tables below, formatBits goes into the symbol
+ */
+const QR_ERROR_CORRECTION = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+const QR_CONFIG = {
+    minVersion: 1,
+    maxVersion: 40,
+    defaultErrorCorrection: 'M',
+    quietZone: 4,
+    imageSize: 200
+};
+
+// Error correction codewords per block, indexed [level][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, indexed [level][version]
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const BYTE_MODE_INDICATOR = 0x4;
+const PAD_CODEWORDS = [0xEC, 0x11];
+
+// Data mask conditions; a module is flipped when its condition is true
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * QR Code Class
+ * Create instances with QRCode.encode(); modules[y][x] is true for dark modules
+ */
+class QRCode {
+    constructor(version, errorCorrection, dataCodewords) {
+        this.version = version;
+        this.errorCorrection = errorCorrection;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(dataCodewords));
+        this.mask = this.applyBestMask();
+        this.isFunction = null;
+    }
+
+    /**
+     * Encode text in byte mode at the smallest version that fits
+     * @param {string} text - Text to encode (UTF-8)
+     * @param {Object} options - Encoder options
+     * @param {string} options.errorCorrection - 'L', 'M', 'Q' or 'H'
+     * @returns {QRCode}
+     */
+    static encode(text, options = {}) {
+        const { errorCorrection = QR_CONFIG.defaultErrorCorrection } = options;
+        const level = QR_ERROR_CORRECTION[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown error correction level: ${errorCorrection}`);
+        }
+
+        const bytes = QRCode.toUtf8Bytes(String(text));
+
+        let version = QR_CONFIG.minVersion;
+        for (; version <= QR_CONFIG.maxVersion; version++) {
+            const usedBits = 4 + QRCode.getCharCountBits(version) + bytes.length * 8;
+            if (usedBits <= QRCode.getNumDataCodewords(version, level) * 8) break;
+        }
+        if (version > QR_CONFIG.maxVersion) {
+            throw new Error(`Text is too long for a QR code (${bytes.length} bytes at level ${errorCorrection})`);
+        }
+
+        // Mode indicator, character count and data, then terminator and padding
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        const capacityBits = QRCode.getNumDataCodewords(version, level) * 8;
+        appendBits(BYTE_MODE_INDICATOR, 4);
+        appendBits(bytes.length, QRCode.getCharCountBits(version));
+        bytes.forEach(byte => appendBits(byte, 8));
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let i = 0; codewords.length < capacityBits / 8; i++) {
+            codewords.push(PAD_CODEWORDS[i % 2]);
+        }
+
+        return new QRCode(version, errorCorrection, codewords);
+    }
+
+    static toUtf8Bytes(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(text));
+        }
+        return Array.from(unescape(encodeURIComponent(text)), char => char.charCodeAt(0));
+    }
+
+    static getCharCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    /**
+     * Modules available for data and error correction once function patterns are placed
+     */
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, level) {
+        return Math.floor(QRCode.getNumRawDataModules(version) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+    }
+
+    /**
+     * Centre coordinates of alignment patterns, ascending
+     */
+    static getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const positions = [];
+        for (let pos = size - 7; positions.length < numAlign - 1; pos -= step) {
+            positions.unshift(pos);
+        }
+        positions.unshift(6);
+        return positions;
+    }
+
+    /**
+     * Galois field GF(2^8) multiplication with the QR reducing polynomial 0x11D
+     */
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static getReedSolomonDivisor(degree) {
+        const result = new Array(degree - 1).fill(0);
+        result.push(1);
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static getReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon codewords and interleave the result
+     */
+    addErrorCorrection(data) {
+        const level = QR_ERROR_CORRECTION[this.errorCorrection];
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][this.version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][this.version];
+        const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = QRCode.getReedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += blockData.length;
+            const ecc = QRCode.getReedSolomonRemainder(blockData, divisor);
+            if (i < numShortBlocks) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Short blocks carry a placeholder byte that is not transmitted
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = QRCode.getAlignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!overlapsFinder) this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas now; the real bits are written once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    /**
+     * 15-bit format information: error correction level and mask, BCH protected
+     */
+    static getFormatBits(errorCorrection, mask) {
+        const data = (QR_ERROR_CORRECTION[errorCorrection].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    drawFormatBits(mask) {
+        const bits = QRCode.getFormatBits(this.errorCorrection, mask);
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Copy around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Copy split between the top-right and bottom-left finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    /**
+     * 18-bit version information, only present from version 7
+     */
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    /**
+     * Place codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    drawCodewords(codewords) {
+        let bitIndex = 0;
+        const totalBits = codewords.length * 8;
+
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+
+                    if (!this.isFunction[y][x] && bitIndex < totalBits) {
+                        this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const condition = MASK_PATTERNS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Try every mask and keep the one with the lowest penalty score
+     */
+    applyBestMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            // Masking is its own inverse
+            this.applyMask(mask);
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    getPenaltyScore() {
+        const { size, modules } = this;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+
+        // Runs of five or more same-coloured modules, and finder-like patterns
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(k => !line[i + 7 + k]);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+
+    isDark(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    /**
+     * Draw the code onto a canvas with a light quiet zone
+     * Module edges are rounded to whole pixels so the image stays sharp at any size
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Object} options - Render options
+     * @param {number} options.size - Image width and height in pixels
+     * @param {number} options.quietZone - Light border in modules
+     * @param {string} options.dark - Dark module colour
+     * @param {string} options.light - Background colour
+     * @returns {HTMLCanvasElement} The canvas
+     */
+    renderToCanvas(canvas, options = {}) {
+        const {
+            size = QR_CONFIG.imageSize,
+            quietZone = QR_CONFIG.quietZone,
+            dark = '#000000',
+            light = '#ffffff'
+        } = options;
+
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = light;
+        context.fillRect(0, 0, size, size);
+        context.fillStyle = dark;
+
+        const scale = size / (this.size + quietZone * 2);
+        const edge = (index) => Math.round((index + quietZone) * scale);
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.modules[y][x]) continue;
+                context.fillRect(edge(x), edge(y), edge(x + 1) - edge(x), edge(y + 1) - edge(y));
+            }
+        }
+
+        return canvas;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QRCode, QR_ERROR_CORRECTION, QR_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.QRCode = QRCode;
+    window.QR_ERROR_CORRECTION = QR_ERROR_CORRECTION;
+}
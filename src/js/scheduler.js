@@ -0,0 +1,271 @@
+/**
+ * Twibble Lesson Scheduler
+ * Distributes lesson words across days with the PRD auto-distribution algorithm
+ * Day 1 front-loads about 40% of the words, later days decay exponentially and the last day is review-only
+ */
+
+/**
+ * Scheduling Configuration
+ */
+const SCHEDULE_CONFIG = {
+    minDays: 1,
+    maxDays: 10,
+    quickPicks: [3, 5, 7],
+    defaultDays: 5,
+    dayOneShare: 0.4,
+    decayRate: 0.7
+};
+
+/**
+ * Lesson Scheduler Class
+ * Pure functions over word lists and schedules - no DOM or storage access
+ */
+class LessonScheduler {
+    /**
+     * Clamp a requested day count into the supported range
+     */
+    static clampDayCount(dayCount) {
+        const days = parseInt(dayCount, 10);
+        if (isNaN(days)) return SCHEDULE_CONFIG.defaultDays;
+        return Math.min(SCHEDULE_CONFIG.maxDays, Math.max(SCHEDULE_CONFIG.minDays, days));
+    }
+
+    /**
+     * Reduce ChipManager entries to unique word texts in teacher order
+     * @param {Array} words - Strings or {word} objects
+     * @returns {Array<string>}
+     */
+    static getWordList(words = []) {
+        const seen = new Set();
+        const list = [];
+
+        words.forEach(entry => {
+            const word = (typeof entry === 'string' ? entry : entry && entry.word || '').trim();
+            const key = word.toLowerCase();
+            if (word && !seen.has(key)) {
+                seen.add(key);
+                list.push(word);
+            }
+        });
+
+        return list;
+    }
+
+    /**
+     * Number of new words introduced on each day
+     * @param {number} wordCount - Total unique words
+     * @param {number} dayCount - Lesson length in days
+     * @returns {Array<number>} One count per day; the last day is 0 when dayCount > 1
+     */
+    static distributeCounts(wordCount, dayCount) {
+        const days = LessonScheduler.clampDayCount(dayCount);
+        const counts = new Array(days).fill(0);
+        if (wordCount <= 0) return counts;
+
+        // A single-day lesson has no room for a review-only day
+        const teachingDays = days === 1 ? 1 : days - 1;
+        if (teachingDays === 1) {
+            counts[0] = wordCount;
+            return counts;
+        }
+
+        counts[0] = Math.min(wordCount, Math.max(1, Math.round(wordCount * SCHEDULE_CONFIG.dayOneShare)));
+
+        let remaining = wordCount - counts[0];
+        const middleDays = teachingDays - 1;
+
+        // Every middle day teaches at least one word when there are enough to go round
+        if (remaining >= middleDays) {
+            for (let i = 1; i <= middleDays; i++) counts[i] = 1;
+            remaining -= middleDays;
+        }
+
+        // Spread the rest with exponential decay, handing out rounding leftovers by largest remainder
+        const weights = Array.from({ length: middleDays }, (_, i) => Math.pow(SCHEDULE_CONFIG.decayRate, i));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const shares = weights.map(weight => remaining * weight / totalWeight);
+
+        shares.forEach((share, i) => {
+            counts[i + 1] += Math.floor(share);
+        });
+
+        let leftover = remaining - shares.reduce((sum, share) => sum + Math.floor(share), 0);
+        const byRemainder = shares
+            .map((share, i) => ({ index: i + 1, fraction: share - Math.floor(share) }))
+            .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+        for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+            counts[byRemainder[i].index]++;
+            leftover--;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Build day records from the new words of each day
+     * Words introduced on Day X are reviewed on every later day
+     * @param {Array<Array<string>>} newWordsByDay
+     * @returns {Array} Day records {day, newWords, reviewWords, reviewOnly}
+     */
+    static buildDays(newWordsByDay) {
+        const introduced = [];
+
+        return newWordsByDay.map((newWords, index) => {
+            const isLastDay = index === newWordsByDay.length - 1;
+            const day = {
+                day: index + 1,
+                newWords: [...newWords],
+                reviewWords: [...introduced],
+                reviewOnly: isLastDay && newWordsByDay.length > 1
+            };
+            introduced.push(...newWords);
+            return day;
+        });
+    }
+
+    /**
+     * Auto-distribute lesson words across days
+     * @param {Array} words - ChipManager word entries or plain strings
+     * @param {number} dayCount - Lesson length in days (1-10)
+     * @returns {Object} Schedule {dayCount, days, generatedAt, updatedAt}
+     */
+    static createSchedule(words, dayCount) {
+        const wordList = LessonScheduler.getWordList(words);
+        const days = LessonScheduler.clampDayCount(dayCount);
+        const counts = LessonScheduler.distributeCounts(wordList.length, days);
+
+        let cursor = 0;
+        const newWordsByDay = counts.map(count => {
+            const dayWords = wordList.slice(cursor, cursor + count);
+            cursor += count;
+            return dayWords;
+        });
+
+        const now = new Date().toISOString();
+        return {
+            dayCount: days,
+            days: LessonScheduler.buildDays(newWordsByDay),
+            generatedAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Introduce a word on a different day and rebuild the reviews around it
+     * Does not validate - callers decide whether to accept the result
+     * @param {Object} schedule - Current schedule
+     * @param {string} word - Word to move
+     * @param {number} targetDay - Day (1-based) that should introduce the word
+     * @returns {Object|null} New schedule, or null if the word is not scheduled or already on that day
+     */
+    static moveWord(schedule, word, targetDay) {
+        if (!schedule || !Array.isArray(schedule.days)) return null;
+        if (targetDay < 1 || targetDay > schedule.days.length) return null;
+
+        const key = word.toLowerCase();
+        const fromDay = schedule.days.find(day => day.newWords.some(newWord => newWord.toLowerCase() === key));
+        if (!fromDay || fromDay.day === targetDay) return null;
+
+        const movedWord = fromDay.newWords.find(newWord => newWord.toLowerCase() === key);
+        const newWordsByDay = schedule.days.map(day => day.newWords.filter(newWord => newWord.toLowerCase() !== key));
+        newWordsByDay[targetDay - 1].push(movedWord);
+
+        return {
+            ...schedule,
+            days: LessonScheduler.buildDays(newWordsByDay),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check whether a schedule still covers exactly the given lesson words
+     */
+    static matchesWords(schedule, words) {
+        if (!schedule || !Array.isArray(schedule.days)) return false;
+
+        const scheduled = schedule.days.flatMap(day => day.newWords).map(word => word.toLowerCase()).sort();
+        const current = LessonScheduler.getWordList(words).map(word => word.toLowerCase()).sort();
+        return scheduled.length === current.length && scheduled.every((word, i) => word === current[i]);
+    }
+
+    /**
+     * Validate a schedule
+     * @param {Object} schedule - Schedule to check
+     * @param {Array} words - Optional lesson words that must all be scheduled
+     * @returns {Object} {valid, errors}
+     */
+    static validateSchedule(schedule, words = null) {
+        const errors = [];
+
+        if (!schedule || !Array.isArray(schedule.days)) {
+            return { valid: false, errors: ['Schedule has no days'] };
+        }
+
+        const { dayCount, days } = schedule;
+        if (dayCount < SCHEDULE_CONFIG.minDays || dayCount > SCHEDULE_CONFIG.maxDays) {
+            errors.push(`Lessons must last between ${SCHEDULE_CONFIG.minDays} and ${SCHEDULE_CONFIG.maxDays} days`);
+        }
+        if (days.length !== dayCount) {
+            errors.push(`Schedule lists ${days.length} days but the lesson lasts ${dayCount}`);
+        }
+
+        // Day each word is introduced on
+        const introducedOn = new Map();
+        days.forEach(({ day, newWords }) => {
+            newWords.forEach(word => {
+                const key = word.toLowerCase();
+                if (introducedOn.has(key)) {
+                    errors.push(`"${word}" is introduced on both Day ${introducedOn.get(key).day} and Day ${day}`);
+                } else {
+                    introducedOn.set(key, { day, word });
+                }
+            });
+        });
+
+        days.forEach(({ day, newWords, reviewWords }) => {
+            if (day === days.length && days.length > 1 && newWords.length > 0) {
+                errors.push(`Day ${day} is review-only and cannot introduce new words`);
+            }
+
+            if (introducedOn.size > 0 && newWords.length === 0 && reviewWords.length === 0) {
+                errors.push(`Day ${day} has no words to learn or review`);
+            }
+
+            reviewWords.forEach(word => {
+                const introduced = introducedOn.get(word.toLowerCase());
+                if (!introduced || introduced.day >= day) {
+                    errors.push(`"${word}" is reviewed on Day ${day} before it is introduced`);
+                }
+            });
+
+            const reviewed = new Set(reviewWords.map(word => word.toLowerCase()));
+            introducedOn.forEach((introduced, key) => {
+                if (introduced.day < day && !reviewed.has(key)) {
+                    errors.push(`"${introduced.word}" is missing from the Day ${day} review`);
+                }
+            });
+        });
+
+        if (words) {
+            LessonScheduler.getWordList(words).forEach(word => {
+                if (!introducedOn.has(word.toLowerCase())) {
+                    errors.push(`"${word}" is not scheduled on any day`);
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LessonScheduler, SCHEDULE_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.LessonScheduler = LessonScheduler;
+    window.SCHEDULE_CONFIG = SCHEDULE_CONFIG;
+}
@@ -0,0 +1,341 @@
+/**
+ * Twibble Share Payloads
+ * Packs a published lesson into the share URL fragment so addLesson works on any device
+ * Payloads are compressed, base64url encoded, size limited and protected by a CRC-32 checksum
+ */
+
+// Lesson scheduler lives in the shared global scope in the browser, require() under Node
+const schedulerModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./scheduler.js')
+    : window;
+
+/**
+ * Share Configuration
+ */
+const SHARE_CONFIG = {
+    formatVersion: 1,
+    fragmentKey: 'lesson',
+    // Largest QR code (2953 bytes at level L); buildShareUrl checks the whole URL against it
+    maxUrlLength: 2953,
+    // Upper bound for the payload alone, leaving room for the origin, path and ?addLesson=<id>#lesson=
+    maxPayloadLength: 2800,
+    codecs: {
+        deflate: 'z',
+        plain: 'p'
+    }
+};
+
+/**
+ * Error codes reported on share errors (error.code)
+ */
+const SHARE_ERRORS = {
+    missing: 'missing',
+    tooLarge: 'too-large',
+    truncated: 'truncated',
+    corrupt: 'corrupt',
+    unsupported: 'unsupported'
+};
+
+const SHARE_ACTIVITY_CODES = {
+    vocabulary: 'v',
+    spelling: 's',
+    phonics: 'p'
+};
+
+// Optional word details and the short keys they travel under
+const SHARE_WORD_FIELDS = {
+    definition: 'd',
+    phonics: 'h',
+    partOfSpeech: 'g',
+    difficulty: 'l',
+    imageUrl: 'm',
+    audioUrl: 'u'
+};
+
+// Lesson settings travel with short keys; unknown settings are dropped
+const SHARE_SETTING_CODES = {
+    flipCardViews: 'f',
+    minDifficulty: 'l',
+    maxDifficulty: 'h',
+    hints: 'n'
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Share Payload Class
+ * Static encode/decode between lesson snapshots and URL-safe payload strings
+ */
+class SharePayload {
+    static createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+            throw new Error('Payload contains characters outside base64url');
+        }
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static canCompress() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Reduce a lesson snapshot to short keys and word indexes
+     * Reviews are left out because they are rebuilt from the new words of each day
+     */
+    static pack(lesson, options = {}) {
+        const words = (lesson.words || []).map(entry => {
+            const packed = {
+                w: entry.word,
+                a: (entry.activities || []).map(activity => SHARE_ACTIVITY_CODES[activity] || '').join('')
+            };
+            Object.entries(SHARE_WORD_FIELDS).forEach(([field, code]) => {
+                if (entry[field]) packed[code] = entry[field];
+            });
+            return packed;
+        });
+
+        const indexByWord = new Map(words.map((entry, index) => [entry.w.toLowerCase(), index]));
+        const days = lesson.schedule && Array.isArray(lesson.schedule.days) ? lesson.schedule.days : [];
+
+        const packed = {
+            i: lesson.id,
+            t: lesson.title || '',
+            p: lesson.publishedAt || null,
+            w: words,
+            s: days.map(day => day.newWords.map(word => indexByWord.get(word.toLowerCase())))
+        };
+        const settings = Object.entries(lesson.settings || {}).filter(([key]) => SHARE_SETTING_CODES[key]);
+        if (settings.length > 0) {
+            packed.o = Object.fromEntries(settings.map(([key, value]) => [SHARE_SETTING_CODES[key], value]));
+        }
+        if (options.creator) packed.c = options.creator;
+        return packed;
+    }
+
+    static unpack(packed) {
+        const codeToActivity = Object.fromEntries(Object.entries(SHARE_ACTIVITY_CODES).map(([activity, code]) => [code, activity]));
+
+        if (!packed || typeof packed.i !== 'string' || !Array.isArray(packed.w) || !Array.isArray(packed.s)) {
+            throw new Error('Payload is missing lesson fields');
+        }
+        // Ids end up in element attributes and storage keys on the student device
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(packed.i)) {
+            throw new Error('Payload has an invalid lesson id');
+        }
+
+        const words = packed.w.map(entry => {
+            if (!entry || typeof entry.w !== 'string') {
+                throw new Error('Payload has an invalid word');
+            }
+            const word = {
+                word: entry.w,
+                activities: Array.from(entry.a || '', code => codeToActivity[code]).filter(Boolean)
+            };
+            Object.entries(SHARE_WORD_FIELDS).forEach(([field, code]) => {
+                if (entry[code]) word[field] = entry[code];
+            });
+            return word;
+        });
+
+        const newWordsByDay = packed.s.map(indexes => indexes.map(index => {
+            if (!words[index]) {
+                throw new Error('Payload schedule points at a missing word');
+            }
+            return words[index].word;
+        }));
+
+        const { LessonScheduler } = schedulerModule;
+        const schedule = {
+            dayCount: newWordsByDay.length,
+            days: LessonScheduler.buildDays(newWordsByDay),
+            generatedAt: packed.p,
+            updatedAt: packed.p
+        };
+
+        const validation = LessonScheduler.validateSchedule(schedule, words);
+        if (!validation.valid) {
+            throw new Error(`Payload schedule is invalid: ${validation.errors[0]}`);
+        }
+
+        const codeToSetting = Object.fromEntries(Object.entries(SHARE_SETTING_CODES).map(([key, code]) => [code, key]));
+        const settings = Object.fromEntries(Object.entries(packed.o && typeof packed.o === 'object' ? packed.o : {})
+            .filter(([code]) => codeToSetting[code])
+            .map(([code, value]) => [codeToSetting[code], value]));
+
+        return {
+            id: packed.i,
+            title: packed.t || '',
+            creator: packed.c || null,
+            publishedAt: packed.p,
+            words,
+            schedule,
+            settings
+        };
+    }
+
+    /**
+     * Encode a lesson snapshot as "<version>.<codec>.<length>.<crc32>.<data>"
+     * @param {Object} lesson - Published snapshot {id, title, words, schedule, publishedAt}
+     * @param {Object} options - Encode options
+     * @param {string} options.creator - Teacher name shown to students
+     * @returns {Promise<string>} URL-safe payload
+     */
+    static async encode(lesson, options = {}) {
+        const json = JSON.stringify(SharePayload.pack(lesson, options));
+        const bytes = new TextEncoder().encode(json);
+
+        let codec = SHARE_CONFIG.codecs.plain;
+        let data = SharePayload.toBase64Url(bytes);
+
+        if (SharePayload.canCompress()) {
+            const compressed = SharePayload.toBase64Url(await SharePayload.pipe(bytes, new CompressionStream('deflate')));
+            if (compressed.length < data.length) {
+                codec = SHARE_CONFIG.codecs.deflate;
+                data = compressed;
+            }
+        }
+
+        const payload = [SHARE_CONFIG.formatVersion, codec, data.length.toString(36), SharePayload.crc32(bytes), data].join('.');
+        if (payload.length > SHARE_CONFIG.maxPayloadLength) {
+            throw SharePayload.createError(
+                SHARE_ERRORS.tooLarge,
+                `This lesson is too large to share as a link (${payload.length} of ${SHARE_CONFIG.maxPayloadLength} characters). Try removing some words.`
+            );
+        }
+        return payload;
+    }
+
+    /**
+     * Decode and verify a payload
+     * @param {string} payload - Payload from the URL fragment
+     * @returns {Promise<Object>} Lesson snapshot
+     * @throws {Error} With error.code set to one of SHARE_ERRORS
+     */
+    static async decode(payload) {
+        if (!payload) {
+            throw SharePayload.createError(SHARE_ERRORS.missing, 'The link does not include a lesson');
+        }
+        if (payload.length > SHARE_CONFIG.maxPayloadLength) {
+            throw SharePayload.createError(SHARE_ERRORS.tooLarge, 'The lesson in this link is larger than Twibble allows');
+        }
+
+        const parts = payload.split('.');
+        if (parts.length < 5) {
+            throw SharePayload.createError(SHARE_ERRORS.truncated, 'The link ends before the lesson does');
+        }
+
+        const [version, codec, lengthText, checksum, data] = parts;
+        if (parseInt(version, 10) !== SHARE_CONFIG.formatVersion) {
+            throw SharePayload.createError(SHARE_ERRORS.unsupported, `Lesson links of format ${version} are not supported`);
+        }
+
+        const expectedLength = parseInt(lengthText, 36);
+        if (parts.length > 5 || isNaN(expectedLength) || data.length > expectedLength) {
+            throw SharePayload.createError(SHARE_ERRORS.corrupt, 'The lesson data in this link is damaged');
+        }
+        if (data.length < expectedLength) {
+            throw SharePayload.createError(SHARE_ERRORS.truncated, 'The link ends before the lesson does');
+        }
+
+        const { deflate, plain } = SHARE_CONFIG.codecs;
+        if (codec !== deflate && codec !== plain) {
+            throw SharePayload.createError(SHARE_ERRORS.corrupt, 'The lesson data in this link is damaged');
+        }
+        if (codec === deflate && !SharePayload.canCompress()) {
+            throw SharePayload.createError(SHARE_ERRORS.unsupported, 'This browser cannot open compressed lesson links');
+        }
+
+        let bytes;
+        try {
+            bytes = SharePayload.fromBase64Url(data);
+            if (codec === deflate) {
+                bytes = await SharePayload.pipe(bytes, new DecompressionStream('deflate'));
+            }
+        } catch (error) {
+            console.warn('Share payload could not be unpacked:', error);
+            throw SharePayload.createError(SHARE_ERRORS.corrupt, 'The lesson data in this link is damaged');
+        }
+
+        if (SharePayload.crc32(bytes) !== checksum) {
+            throw SharePayload.createError(SHARE_ERRORS.corrupt, 'The lesson data in this link failed its integrity check');
+        }
+
+        try {
+            return SharePayload.unpack(JSON.parse(new TextDecoder().decode(bytes)));
+        } catch (error) {
+            console.warn('Share payload passed its checksum but could not be read:', error);
+            throw SharePayload.createError(SHARE_ERRORS.corrupt, 'The lesson data in this link is damaged');
+        }
+    }
+
+    /**
+     * Read the payload from a location hash such as "#lesson=..."
+     */
+    static readFragment(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        return params.get(SHARE_CONFIG.fragmentKey);
+    }
+
+    /**
+     * Full share URL: student-dashboard.html?addLesson=<id>#lesson=<payload>
+     * @throws {Error} With error.code 'too-large' when the URL would not fit in a QR code
+     */
+    static buildShareUrl(baseUrl, lessonId, payload) {
+        const url = new URL(`student-dashboard.html?addLesson=${encodeURIComponent(lessonId)}`, baseUrl);
+        url.hash = `${SHARE_CONFIG.fragmentKey}=${payload}`;
+        if (url.href.length > SHARE_CONFIG.maxUrlLength) {
+            throw SharePayload.createError(
+                SHARE_ERRORS.tooLarge,
+                `This lesson is too large to share as a link (${url.href.length} of ${SHARE_CONFIG.maxUrlLength} characters). Try removing some words.`
+            );
+        }
+        return url.href;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SharePayload, SHARE_CONFIG, SHARE_ERRORS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.SharePayload = SharePayload;
+    window.SHARE_CONFIG = SHARE_CONFIG;
+    window.SHARE_ERRORS = SHARE_ERRORS;
+}
@@ -0,0 +1,141 @@
+/**
+ * Twibble Spaced Repetition
+ * Per-student word memory using an SM-2 style ease and interval, updated from review outcomes
+ * Orders each day's review queue weakest word first and brings missed words back in the same session
+ * Every word introduced on an earlier day is already in a day's planned reviews, so memory orders them rather than adding any
+ */
+
+/**
+ * Spaced Repetition Configuration
+ */
+const SPACED_REPETITION_CONFIG = {
+    dayMs: 24 * 60 * 60 * 1000,
+    // SM-2 starting ease and the floor it never drops below
+    defaultEase: 2.5,
+    minEase: 1.3,
+    // Days until the first and second successful reviews come due
+    firstInterval: 1,
+    secondInterval: 6,
+    // Grades (0-5) below this are a miss: the interval starts over
+    passGrade: 3,
+    // A missed activity comes back once, after this many other activities
+    sessionRetries: 1,
+    retryGap: 3
+};
+
+/**
+ * Spaced Repetition Class
+ * Pure functions over a {wordId: record} memory map - the clock is always passed in
+ * Records are {ease, interval (days), reps, lapses, due (ms), reviewedAt (ms)}
+ */
+class SpacedRepetition {
+    /**
+     * Grade an activity outcome on the SM-2 0-5 scale
+     * @param {Object} outcome - Progress entry {completed, skipped, correct, tries, credit}
+     * @returns {number} 5 first try, 4 second try, 3 more tries, 1 missed or skipped; scaled down by hint credit
+     */
+    static gradeOutcome(outcome = {}) {
+        if (!outcome.completed || outcome.skipped || outcome.correct === false) return 1;
+
+        const tries = Number.isInteger(outcome.tries) && outcome.tries > 0 ? outcome.tries : 1;
+        const grade = Math.max(SPACED_REPETITION_CONFIG.passGrade, 6 - tries);
+        const credit = typeof outcome.credit === 'number' ? outcome.credit : 1;
+        return Math.round(grade * credit);
+    }
+
+    static isMiss(grade) {
+        return grade < SPACED_REPETITION_CONFIG.passGrade;
+    }
+
+    /**
+     * Record for a word the student has just met, first due the next day
+     */
+    static introduce(now) {
+        return {
+            ease: SPACED_REPETITION_CONFIG.defaultEase,
+            interval: SPACED_REPETITION_CONFIG.firstInterval,
+            reps: 0,
+            lapses: 0,
+            due: now + SPACED_REPETITION_CONFIG.firstInterval * SPACED_REPETITION_CONFIG.dayMs,
+            reviewedAt: now
+        };
+    }
+
+    /**
+     * Apply one graded review (SM-2)
+     * @param {Object|null} record - Current record; null for a word never seen
+     * @param {number} grade - 0-5
+     * @param {number} now - Clock in ms
+     * @returns {Object} New record
+     */
+    static review(record, grade, now) {
+        const config = SPACED_REPETITION_CONFIG;
+        const current = record || { ease: config.defaultEase, interval: 0, reps: 0, lapses: 0 };
+        const ease = Math.max(config.minEase, current.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+        if (SpacedRepetition.isMiss(grade)) {
+            // Missed words are due again straight away
+            return { ...current, ease, interval: 0, reps: 0, lapses: current.lapses + 1, due: now, reviewedAt: now };
+        }
+
+        const reps = current.reps + 1;
+        let interval = Math.round(current.interval * ease);
+        if (reps === 1) interval = config.firstInterval;
+        if (reps === 2) interval = config.secondInterval;
+
+        return { ...current, ease, interval, reps, due: now + interval * config.dayMs, reviewedAt: now };
+    }
+
+    static isDue(record, now) {
+        return Boolean(record && record.due <= now);
+    }
+
+    /**
+     * Weakest first: lowest ease, then most missed, then longest overdue
+     * Words without a record keep their planned order after the ones the student has struggled with
+     * @param {Array} words - Lesson words with an id
+     * @param {Object} memory - {wordId: record}
+     * @returns {Array} Sorted copy
+     */
+    static orderReviewWords(words, memory = {}) {
+        const config = SPACED_REPETITION_CONFIG;
+        const known = word => memory[word.id] || { ease: config.defaultEase, lapses: 0, due: Infinity };
+
+        return words
+            .map((word, index) => ({ word, index, record: known(word) }))
+            .sort((a, b) =>
+                a.record.ease - b.record.ease ||
+                b.record.lapses - a.record.lapses ||
+                a.record.due - b.record.due ||
+                a.index - b.index
+            )
+            .map(entry => entry.word);
+    }
+
+    /**
+     * Activity queue with a missed activity repeated a few activities later
+     * @param {Array} activities - Session queue
+     * @param {number} index - Position of the missed activity
+     * @returns {Array} New queue; unchanged once the activity has used its retries
+     */
+    static insertRetry(activities, index) {
+        const activity = activities[index];
+        const retries = activity.retries || 0;
+        if (retries >= SPACED_REPETITION_CONFIG.sessionRetries) return activities;
+
+        const position = Math.min(index + 1 + SPACED_REPETITION_CONFIG.retryGap, activities.length);
+        const retry = { ...activity, retries: retries + 1 };
+        return [...activities.slice(0, position), retry, ...activities.slice(position)];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpacedRepetition, SPACED_REPETITION_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.SpacedRepetition = SpacedRepetition;
+    window.SPACED_REPETITION_CONFIG = SPACED_REPETITION_CONFIG;
+}
@@ -0,0 +1,278 @@
+/**
+ * Twibble Speech
+ * Reads words and phonics chunks aloud for students
+ * Bundled audio files are played when a word has one; otherwise the Web Speech API (speechSynthesis) is used
+ */
+
+/**
+ * Speech Configuration
+ */
+const SPEECH_CONFIG = {
+    lang: 'en-US',
+    // Slower than adult speech so K-5 students can follow along
+    defaultRate: 0.8,
+    minRate: 0.5,
+    maxRate: 1.2,
+    // Chunks are read slower still, with a pause, so each sound stays distinct
+    chunkRateFactor: 0.85,
+    chunkPause: 350,
+    pitch: 1.05,
+    // Clear voices found on common devices, best first
+    preferredVoices: ['Samantha', 'Google US English', 'Microsoft Aria', 'Microsoft Jenny', 'Karen', 'Moira', 'Daniel'],
+    // Some browsers fill in the voice list a moment after the page loads
+    voicesTimeout: 1500
+};
+
+/**
+ * Why audio could not be played, with the text shown to students
+ */
+const SPEECH_ERRORS = {
+    unsupported: { reason: 'unsupported', message: 'Audio is not available in this browser.' },
+    noVoice: { reason: 'no-voice', message: 'No reading voice is installed on this device.' },
+    failed: { reason: 'failed', message: 'The word could not be played. Try again.' }
+};
+
+/**
+ * Speech Service Class
+ * Every speak/play method resolves with {ok, source} or {ok: false, reason, message} and never rejects
+ */
+class SpeechService {
+    /**
+     * @param {Object} options - Browser APIs, replaceable for tests
+     * @param {Object} options.synth - speechSynthesis
+     * @param {Function} options.Utterance - SpeechSynthesisUtterance
+     * @param {Function} options.createAudio - url => HTMLAudioElement
+     */
+    constructor(options = {}) {
+        const hasWindow = typeof window !== 'undefined';
+        this.synth = options.synth !== undefined ? options.synth : (hasWindow && window.speechSynthesis) || null;
+        this.Utterance = options.Utterance || (hasWindow && window.SpeechSynthesisUtterance) || null;
+        this.createAudio = options.createAudio || (hasWindow && window.Audio ? url => new Audio(url) : null);
+        this.rate = SPEECH_CONFIG.defaultRate;
+        this.voiceName = options.voiceName || null;
+        this.voice = null;
+        this.voicesPromise = null;
+        this.currentAudio = null;
+        // Bumped by stop() so chunk sequences in progress end early
+        this.sequence = 0;
+    }
+
+    /**
+     * Best voice for the lesson language: chosen voice, then exact language, preferred names and on-device voices
+     * @param {Array} voices - SpeechSynthesisVoice list
+     * @param {Object} options - {lang, voiceName}
+     * @returns {Object|null} Voice, or null when no English voice exists
+     */
+    static pickVoice(voices = [], options = {}) {
+        const { lang = SPEECH_CONFIG.lang, voiceName = null } = options;
+        const language = lang.toLowerCase();
+        const base = language.split('-')[0];
+        const normalizeLang = voice => String(voice.lang || '').toLowerCase().replace('_', '-');
+
+        if (voiceName) {
+            const chosen = voices.find(voice => voice.name === voiceName);
+            if (chosen) return chosen;
+        }
+
+        const preferredRank = voice => {
+            const index = SPEECH_CONFIG.preferredVoices.findIndex(name => voice.name.includes(name));
+            return index === -1 ? SPEECH_CONFIG.preferredVoices.length : index;
+        };
+
+        const candidates = voices.filter(voice => normalizeLang(voice).split('-')[0] === base);
+        candidates.sort((a, b) =>
+            (normalizeLang(b) === language) - (normalizeLang(a) === language) ||
+            preferredRank(a) - preferredRank(b) ||
+            // On-device voices keep working offline
+            Boolean(b.localService) - Boolean(a.localService) ||
+            Boolean(b.default) - Boolean(a.default)
+        );
+
+        return candidates[0] || null;
+    }
+
+    static clampRate(rate) {
+        const value = Number(rate);
+        if (!Number.isFinite(value)) return SPEECH_CONFIG.defaultRate;
+        return Math.min(SPEECH_CONFIG.maxRate, Math.max(SPEECH_CONFIG.minRate, value));
+    }
+
+    static failure(error) {
+        return { ok: false, ...error };
+    }
+
+    setRate(rate) {
+        this.rate = SpeechService.clampRate(rate);
+        return this.rate;
+    }
+
+    setVoice(voiceName) {
+        this.voiceName = voiceName || null;
+        this.voice = null;
+        this.voicesPromise = null;
+    }
+
+    isSupported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    /**
+     * Wait for the voice list, which is empty until 'voiceschanged' in some browsers
+     * @returns {Promise<Object|null>} Selected voice
+     */
+    loadVoice() {
+        if (!this.isSupported()) return Promise.resolve(null);
+        if (this.voice) return Promise.resolve(this.voice);
+
+        if (!this.voicesPromise) {
+            this.voicesPromise = new Promise(resolve => {
+                const pick = () => SpeechService.pickVoice(this.synth.getVoices() || [], { voiceName: this.voiceName });
+                const voice = pick();
+                if (voice || typeof this.synth.addEventListener !== 'function') {
+                    resolve(voice);
+                    return;
+                }
+
+                const finish = () => {
+                    clearTimeout(timer);
+                    this.synth.removeEventListener('voiceschanged', finish);
+                    resolve(pick());
+                };
+                const timer = setTimeout(finish, SPEECH_CONFIG.voicesTimeout);
+                this.synth.addEventListener('voiceschanged', finish);
+            }).then(voice => {
+                this.voice = voice;
+                // Try again next time if the list was still empty
+                if (!voice) this.voicesPromise = null;
+                return voice;
+            });
+        }
+
+        return this.voicesPromise;
+    }
+
+    /**
+     * Whether speech can be used, for showing or hiding play buttons
+     * @returns {Promise<Object>} {ok} or {ok: false, reason, message}
+     */
+    checkAvailability() {
+        if (!this.isSupported()) return Promise.resolve(SpeechService.failure(SPEECH_ERRORS.unsupported));
+        return this.loadVoice().then(voice => voice ? { ok: true } : SpeechService.failure(SPEECH_ERRORS.noVoice));
+    }
+
+    /**
+     * Read text with the selected voice
+     * @param {string} text - Text to read
+     * @param {Object} options - {rate}
+     */
+    speak(text, options = {}) {
+        const words = String(text || '').trim();
+        if (!words) return Promise.resolve(SpeechService.failure(SPEECH_ERRORS.failed));
+        if (!this.isSupported()) return Promise.resolve(SpeechService.failure(SPEECH_ERRORS.unsupported));
+
+        return this.loadVoice().then(voice => {
+            if (!voice) return SpeechService.failure(SPEECH_ERRORS.noVoice);
+
+            return new Promise(resolve => {
+                const utterance = new this.Utterance(words);
+                utterance.voice = voice;
+                utterance.lang = voice.lang || SPEECH_CONFIG.lang;
+                utterance.rate = SpeechService.clampRate(options.rate || this.rate);
+                utterance.pitch = SPEECH_CONFIG.pitch;
+                utterance.onend = () => resolve({ ok: true, source: 'speech' });
+                utterance.onerror = (event) => {
+                    // Interrupted by stop() or a newer request - not a failure worth showing
+                    const interrupted = event && ['interrupted', 'canceled'].includes(event.error);
+                    resolve(interrupted ? { ok: true, source: 'speech', interrupted: true } : SpeechService.failure(SPEECH_ERRORS.failed));
+                };
+                this.synth.speak(utterance);
+            });
+        });
+    }
+
+    /**
+     * Play a bundled audio file
+     * @returns {Promise<Object>} {ok, source: 'audio'} or a failure when the file is missing or blocked
+     */
+    playAudio(url) {
+        if (!url || !this.createAudio) return Promise.resolve(SpeechService.failure(SPEECH_ERRORS.unsupported));
+
+        return new Promise(resolve => {
+            const audio = this.createAudio(url);
+            this.currentAudio = audio;
+            audio.onended = () => resolve({ ok: true, source: 'audio' });
+            audio.onerror = () => resolve(SpeechService.failure(SPEECH_ERRORS.failed));
+
+            const playing = audio.play();
+            if (playing && typeof playing.catch === 'function') {
+                playing.catch(() => resolve(SpeechService.failure(SPEECH_ERRORS.failed)));
+            }
+        });
+    }
+
+    /**
+     * Say a lesson word, using its bundled audio file when there is one
+     * @param {Object|string} word - Lesson word {word, audioUrl} or plain text
+     */
+    speakWord(word) {
+        const text = typeof word === 'string' ? word : word && word.word;
+        const audioUrl = typeof word === 'object' && word ? word.audioUrl : null;
+
+        this.stop();
+        if (!audioUrl) return this.speak(text);
+
+        return this.playAudio(audioUrl).then(result => {
+            if (result.ok) return result;
+            console.warn(`Audio file for "${text}" could not be played, using speech instead`);
+            return this.speak(text);
+        });
+    }
+
+    /**
+     * Read phonics chunks one at a time with a short pause between them
+     * @param {Array<string>} chunks - Chunks in word order
+     * @param {Object} options - {pause, onChunk(index)} - onChunk lets the page highlight the chunk being read
+     */
+    speakChunks(chunks = [], options = {}) {
+        const { pause = SPEECH_CONFIG.chunkPause, onChunk = () => {} } = options;
+
+        this.stop();
+        const sequence = this.sequence;
+        const rate = SpeechService.clampRate(this.rate * SPEECH_CONFIG.chunkRateFactor);
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        return chunks.reduce((previous, chunk, index) => previous.then(result => {
+            if (!result.ok || result.interrupted) return result;
+            if (sequence !== this.sequence) return { ...result, interrupted: true };
+            onChunk(index);
+            return this.speak(chunk, { rate }).then(spoken => index < chunks.length - 1 && spoken.ok ? wait(pause).then(() => spoken) : spoken);
+        }), Promise.resolve({ ok: true, source: 'speech' }));
+    }
+
+    /**
+     * Stop whatever is playing
+     */
+    stop() {
+        this.sequence++;
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio = null;
+        }
+        if (this.synth && (this.synth.speaking || this.synth.pending)) {
+            this.synth.cancel();
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechService, SPEECH_CONFIG, SPEECH_ERRORS };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.SpeechService = SpeechService;
+    window.SPEECH_CONFIG = SPEECH_CONFIG;
+    window.SPEECH_ERRORS = SPEECH_ERRORS;
+    window.twibbleSpeech = new SpeechService();
+}
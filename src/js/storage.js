@@ -0,0 +1,584 @@
+/**
+ * Twibble Storage Service
+ * Single access point for everything Twibble persists in localStorage
+ * Pages, NavigationManager and components read and write through this service only
+ */
+
+/**
+ * Namespace prefix applied to every key owned by the service
+ */
+const STORAGE_NAMESPACE = 'twibble';
+
+/**
+ * Schema version stamped on every record written by this build
+ * Bump together with a new entry in migrations.js whenever a record shape changes
+ */
+const SCHEMA_VERSION = 2;
+
+/**
+ * Storage Key Definitions - Central key registry
+ * Each entry maps a record to its namespaced key, its value type and the
+ * pre-namespace key older builds wrote, which is adopted on first read
+ */
+const STORAGE_KEYS = {
+    userSettings: { key: 'profile:settings', legacy: 'userSettings', type: 'json' },
+    currentRole: { key: 'profile:role', legacy: 'currentRole', type: 'string' },
+    studentLessons: { key: 'lessons:student', legacy: 'studentLessons', type: 'json' },
+    lessonDrafts: { key: 'drafts:lessons', type: 'json' },
+    pendingShare: { key: 'shares:pending', type: 'json' },
+    wordMemory: { key: 'memory:words', type: 'json' },
+    performance: { key: 'memory:performance', type: 'json' },
+    dayProgress: (lessonId, day) => ({
+        key: `progress:${lessonId}:day-${day}`,
+        legacy: `lesson_${lessonId}_day_${day}`,
+        type: 'json'
+    })
+};
+
+/**
+ * Service-owned keys outside the record registry
+ */
+const META_KEYS = {
+    schemaVersion: 'meta:schema-version',
+    backupPrefix: 'backup:',
+    corruptPrefix: 'corrupt:'
+};
+
+const VALID_ROLES = ['teacher', 'student'];
+
+const DRAFT_STATUSES = ['draft', 'published'];
+
+/**
+ * Storage Service Class
+ * Typed get/put/delete for profiles, lessons, drafts and progress
+ */
+class TwibbleStorage {
+    /**
+     * @param {Object} options - Service options
+     * @param {Storage} options.backend - Web Storage compatible backend (defaults to window.localStorage)
+     * @param {string} options.namespace - Key prefix
+     */
+    constructor(options = {}) {
+        const {
+            backend = TwibbleStorage.getDefaultBackend(),
+            namespace = STORAGE_NAMESPACE
+        } = options;
+
+        this.backend = backend;
+        this.namespace = namespace;
+    }
+
+    /**
+     * Resolve window.localStorage, which throws in some privacy modes
+     */
+    static getDefaultBackend() {
+        try {
+            return typeof window !== 'undefined' ? window.localStorage : null;
+        } catch (error) {
+            console.warn('localStorage is not accessible:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the namespaced key for a key definition
+     */
+    resolveKey(definition) {
+        return `${this.namespace}:${definition.key}`;
+    }
+
+    /**
+     * Wrap a value in a versioned record envelope
+     */
+    static encodeRecord(value, schemaVersion = SCHEMA_VERSION) {
+        return JSON.stringify({ schemaVersion, data: value });
+    }
+
+    /**
+     * Split a raw stored value into {schemaVersion, data}
+     * Values written before versioning report schemaVersion 0
+     * Returns null when the value cannot be parsed
+     */
+    static parseRecord(raw, type = 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            // Unversioned string records were stored as plain text
+            return type === 'string' ? { schemaVersion: 0, data: raw } : null;
+        }
+
+        if (parsed && typeof parsed === 'object' && Number.isInteger(parsed.schemaVersion) && 'data' in parsed) {
+            return { schemaVersion: parsed.schemaVersion, data: parsed.data };
+        }
+
+        return { schemaVersion: 0, data: type === 'string' ? raw : parsed };
+    }
+
+    /**
+     * Decode a stored value according to the key type
+     * Returns undefined when the value cannot be decoded
+     */
+    decode(definition, raw) {
+        const record = TwibbleStorage.parseRecord(raw, definition.type);
+        if (!record) {
+            return undefined;
+        }
+
+        if (record.schemaVersion > SCHEMA_VERSION) {
+            console.warn(`"${definition.key}" was written by a newer schema (v${record.schemaVersion})`);
+        }
+
+        return record.data;
+    }
+
+    /**
+     * Move a value stored under the pre-namespace key into the namespace
+     * Legacy values always win: their presence means an older writer ran last
+     */
+    adoptLegacyValue(definition) {
+        if (!definition.legacy) return;
+
+        const legacyRaw = this.backend.getItem(definition.legacy);
+        if (legacyRaw === null) return;
+
+        const value = this.decode(definition, legacyRaw);
+        if (value === undefined) {
+            this.quarantine(definition.legacy, legacyRaw);
+            return;
+        }
+
+        this.backend.setItem(this.resolveKey(definition), TwibbleStorage.encodeRecord(value));
+        this.backend.removeItem(definition.legacy);
+    }
+
+    /**
+     * Keep an unreadable value aside for inspection and clear the live key
+     */
+    quarantine(key, raw) {
+        console.warn(`Discarding unreadable value for "${key}"`);
+        try {
+            this.backend.setItem(`${this.namespace}:${META_KEYS.corruptPrefix}${key}`, raw);
+        } catch (error) {
+            console.warn('Could not keep a copy of the unreadable value:', error);
+        }
+        this.backend.removeItem(key);
+    }
+
+    /**
+     * Read a record, recovering from parse errors by returning the fallback
+     */
+    read(definition, fallback = null) {
+        if (!this.backend) return fallback;
+
+        try {
+            this.adoptLegacyValue(definition);
+
+            const key = this.resolveKey(definition);
+            const raw = this.backend.getItem(key);
+            if (raw === null) return fallback;
+
+            const value = this.decode(definition, raw);
+            if (value === undefined) {
+                this.quarantine(key, raw);
+                return fallback;
+            }
+
+            return value;
+        } catch (error) {
+            console.warn(`Failed to read "${definition.key}":`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a record
+     * Errors (e.g. QuotaExceededError) propagate so callers can report them
+     */
+    write(definition, value) {
+        if (!this.backend) {
+            throw new Error('Browser storage is not available');
+        }
+
+        const data = definition.type === 'string' ? String(value) : value;
+        this.backend.setItem(this.resolveKey(definition), TwibbleStorage.encodeRecord(data));
+
+        // A stale legacy copy would be adopted over this write on the next read
+        if (definition.legacy) {
+            this.backend.removeItem(definition.legacy);
+        }
+    }
+
+    /**
+     * Delete a record, including any legacy copy
+     */
+    remove(definition) {
+        if (!this.backend) return;
+
+        try {
+            this.backend.removeItem(this.resolveKey(definition));
+            if (definition.legacy) {
+                this.backend.removeItem(definition.legacy);
+            }
+        } catch (error) {
+            console.warn(`Failed to delete "${definition.key}":`, error);
+        }
+    }
+
+    // ---- Profiles ----
+
+    /**
+     * @returns {Object|null} userSettings {name, avatar, createdAt, onboardingCompleted}
+     */
+    getUserSettings() {
+        const settings = this.read(STORAGE_KEYS.userSettings);
+        return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : null;
+    }
+
+    putUserSettings(settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('User settings must be an object');
+        }
+        this.write(STORAGE_KEYS.userSettings, settings);
+    }
+
+    deleteUserSettings() {
+        this.remove(STORAGE_KEYS.userSettings);
+    }
+
+    /**
+     * @returns {string|null} 'teacher', 'student' or null
+     */
+    getCurrentRole() {
+        const role = this.read(STORAGE_KEYS.currentRole);
+        return VALID_ROLES.includes(role) ? role : null;
+    }
+
+    putCurrentRole(role) {
+        if (!VALID_ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        this.write(STORAGE_KEYS.currentRole, role);
+    }
+
+    deleteCurrentRole() {
+        this.remove(STORAGE_KEYS.currentRole);
+    }
+
+    // ---- Student lessons ----
+
+    /**
+     * @returns {Array} Lessons added to the student dashboard
+     */
+    getStudentLessons() {
+        const lessons = this.read(STORAGE_KEYS.studentLessons, []);
+        return Array.isArray(lessons) ? lessons : [];
+    }
+
+    putStudentLessons(lessons) {
+        if (!Array.isArray(lessons)) {
+            throw new Error('Student lessons must be an array');
+        }
+        this.write(STORAGE_KEYS.studentLessons, lessons);
+    }
+
+    getStudentLesson(lessonId) {
+        return this.getStudentLessons().find(lesson => lesson.id === lessonId) || null;
+    }
+
+    /**
+     * Insert or replace a single lesson by id
+     */
+    putStudentLesson(lesson) {
+        if (!lesson || !lesson.id) {
+            throw new Error('Lesson must have an id');
+        }
+
+        const lessons = this.getStudentLessons();
+        const index = lessons.findIndex(existing => existing.id === lesson.id);
+        if (index >= 0) {
+            lessons[index] = lesson;
+        } else {
+            lessons.push(lesson);
+        }
+        this.putStudentLessons(lessons);
+    }
+
+    deleteStudentLesson(lessonId) {
+        const lessons = this.getStudentLessons().filter(lesson => lesson.id !== lessonId);
+        this.putStudentLessons(lessons);
+    }
+
+    // ---- Lesson drafts ----
+
+    /**
+     * Generate a permanent lesson id (UUID v4)
+     */
+    static generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * @returns {Object} Every teacher lesson keyed by UUID
+     */
+    getLessonDrafts() {
+        const drafts = this.read(STORAGE_KEYS.lessonDrafts, {});
+        return drafts && typeof drafts === 'object' && !Array.isArray(drafts) ? drafts : {};
+    }
+
+    /**
+     * @param {string} status - Optional 'draft' or 'published' filter
+     * @returns {Array} Lessons, most recently updated first
+     */
+    listLessonDrafts(status = null) {
+        return Object.values(this.getLessonDrafts())
+            .filter(draft => !status || draft.status === status)
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+
+    getLessonDraft(draftId) {
+        return this.getLessonDrafts()[draftId] || null;
+    }
+
+    /**
+     * Insert or update a lesson, stamping createdAt/updatedAt
+     * @returns {Object} The stored record
+     */
+    putLessonDraft(draft) {
+        if (!draft || !draft.id) {
+            throw new Error('Draft must have an id');
+        }
+
+        const status = draft.status || 'draft';
+        if (!DRAFT_STATUSES.includes(status)) {
+            throw new Error(`Unknown draft status: ${status}`);
+        }
+
+        const drafts = this.getLessonDrafts();
+        const existing = drafts[draft.id];
+        const now = new Date().toISOString();
+        const record = {
+            ...draft,
+            status,
+            createdAt: (existing && existing.createdAt) || draft.createdAt || now,
+            updatedAt: now
+        };
+
+        drafts[draft.id] = record;
+        this.write(STORAGE_KEYS.lessonDrafts, drafts);
+        return record;
+    }
+
+    /**
+     * Publish a lesson and freeze the snapshot that gets shared with students
+     * Later edits to the lesson leave the snapshot alone until it is published again
+     * @returns {Object} The stored record
+     */
+    publishLessonDraft(draftId) {
+        const draft = this.getLessonDraft(draftId);
+        if (!draft) {
+            throw new Error(`Lesson draft not found: ${draftId}`);
+        }
+
+        const publishedAt = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify({
+            id: draft.id,
+            title: draft.title || '',
+            // Dictionary details (definition, phonics, assets...) travel with each word; the editor group does not
+            words: (draft.words || []).map(({ group, ...word }) => word),
+            schedule: draft.schedule || null,
+            // Teacher overrides of the lesson rules (LESSON_SETTINGS); absent means the defaults
+            ...(draft.settings ? { settings: draft.settings } : {}),
+            publishedAt
+        }));
+
+        return this.putLessonDraft({ ...draft, status: 'published', publishedAt, snapshot });
+    }
+
+    deleteLessonDraft(draftId) {
+        const drafts = this.getLessonDrafts();
+        if (!drafts[draftId]) return;
+
+        delete drafts[draftId];
+        this.write(STORAGE_KEYS.lessonDrafts, drafts);
+    }
+
+    // ---- Activity progress ----
+
+    /**
+     * Share link kept while a student finishes onboarding or picks a role
+     * @returns {Object|null} {search, hash, savedAt}
+     */
+    getPendingShare() {
+        const share = this.read(STORAGE_KEYS.pendingShare);
+        return share && typeof share === 'object' && typeof share.search === 'string' ? share : null;
+    }
+
+    putPendingShare(share) {
+        this.write(STORAGE_KEYS.pendingShare, { ...share, savedAt: new Date().toISOString() });
+    }
+
+    deletePendingShare() {
+        this.remove(STORAGE_KEYS.pendingShare);
+    }
+
+    /**
+     * @returns {Object} Activity progress map for one lesson day
+     */
+    getDayProgress(lessonId, day) {
+        const progress = this.read(STORAGE_KEYS.dayProgress(lessonId, day), {});
+        return progress && typeof progress === 'object' ? progress : {};
+    }
+
+    putDayProgress(lessonId, day, progress) {
+        this.write(STORAGE_KEYS.dayProgress(lessonId, day), progress);
+    }
+
+    deleteDayProgress(lessonId, day) {
+        this.remove(STORAGE_KEYS.dayProgress(lessonId, day));
+    }
+
+    /**
+     * Delete every stored day of a lesson's progress, including legacy lesson_X_day_Y copies
+     */
+    deleteLessonProgress(lessonId) {
+        const prefixes = [`${this.namespace}:progress:${lessonId}:day-`, `lesson_${lessonId}_day_`];
+
+        this.listKeys().forEach(key => {
+            const prefix = prefixes.find(candidate => key.startsWith(candidate));
+            const day = prefix ? key.slice(prefix.length) : '';
+            if (/^\d+$/.test(day)) {
+                this.deleteDayProgress(lessonId, Number(day));
+            }
+        });
+    }
+
+    /**
+     * @returns {Object} Spaced-repetition records keyed by word id, shared by all lessons
+     */
+    getWordMemory() {
+        const memory = this.read(STORAGE_KEYS.wordMemory, {});
+        return memory && typeof memory === 'object' && !Array.isArray(memory) ? memory : {};
+    }
+
+    putWordMemory(memory) {
+        this.write(STORAGE_KEYS.wordMemory, memory);
+    }
+
+    /**
+     * @returns {Object} Recent review attempts per activity type, for adaptive difficulty
+     */
+    getPerformance() {
+        const history = this.read(STORAGE_KEYS.performance, {});
+        return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+    }
+
+    putPerformance(history) {
+        this.write(STORAGE_KEYS.performance, history);
+    }
+
+    // ---- Schema metadata ----
+
+    /**
+     * @returns {number} Schema version the stored data was last migrated to (0 = never)
+     */
+    getSchemaVersion() {
+        const raw = this.getRaw(`${this.namespace}:${META_KEYS.schemaVersion}`);
+        const version = parseInt(raw, 10);
+        return Number.isInteger(version) && version > 0 ? version : 0;
+    }
+
+    putSchemaVersion(version) {
+        this.setRaw(`${this.namespace}:${META_KEYS.schemaVersion}`, String(version));
+    }
+
+    // ---- Raw access (migrations and diagnostics only) ----
+
+    /**
+     * @returns {Array<string>} Every key currently held by the backend
+     */
+    listKeys() {
+        if (!this.backend) return [];
+
+        const keys = [];
+        for (let i = 0; i < this.backend.length; i++) {
+            const key = this.backend.key(i);
+            if (key !== null) keys.push(key);
+        }
+        return keys;
+    }
+
+    getRaw(key) {
+        if (!this.backend) return null;
+
+        try {
+            return this.backend.getItem(key);
+        } catch (error) {
+            console.warn(`Failed to read "${key}":`, error);
+            return null;
+        }
+    }
+
+    setRaw(key, raw) {
+        if (!this.backend) {
+            throw new Error('Browser storage is not available');
+        }
+        this.backend.setItem(key, raw);
+    }
+
+    removeRaw(key) {
+        if (!this.backend) return;
+        this.backend.removeItem(key);
+    }
+
+    // ---- Utilities ----
+
+    /**
+     * Check that the backend accepts writes
+     */
+    isAvailable() {
+        if (!this.backend) return false;
+
+        try {
+            const testKey = `${this.namespace}:__storage_test__`;
+            this.backend.setItem(testKey, testKey);
+            this.backend.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read a developer debug flag, set from the console with
+     * localStorage.setItem('debug_<name>', 'true')
+     */
+    getDebugFlag(name) {
+        try {
+            return Boolean(this.backend) && this.backend.getItem(`debug_${name}`) === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TwibbleStorage, STORAGE_KEYS, STORAGE_NAMESPACE, SCHEMA_VERSION, META_KEYS, DRAFT_STATUSES };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.TwibbleStorage = TwibbleStorage;
+    window.STORAGE_KEYS = STORAGE_KEYS;
+    window.SCHEMA_VERSION = SCHEMA_VERSION;
+    window.META_KEYS = META_KEYS;
+    window.twibbleStorage = new TwibbleStorage();
+}
@@ -0,0 +1,191 @@
+/**
+ * Twibble Word Data
+ * Looks lesson words up in the bundled consolidated_words.json dictionary
+ * Lookups are case-insensitive and fall back from plurals and -ing/-ed forms to the headword
+ */
+
+/**
+ * Word Data Configuration
+ * Paths are relative to src/pages, where every page lives
+ */
+const WORD_DATA_CONFIG = {
+    dictionaryUrl: '../data/consolidated_words.json',
+    // Where an entry's image_url and audio_url live; entries without them use the placeholder image and speech
+    assetBaseUrl: '../assets/words/',
+    // Word details copied into drafts and published lessons
+    lessonFields: ['definition', 'partOfSpeech', 'difficulty', 'phonics', 'syllables', 'imageUrl', 'audioUrl']
+};
+
+/**
+ * Word Data Class
+ * Holds the dictionary in memory; load() fetches it once per page
+ */
+class WordData {
+    constructor(options = {}) {
+        this.dictionaryUrl = options.dictionaryUrl || WORD_DATA_CONFIG.dictionaryUrl;
+        this.assetBaseUrl = options.assetBaseUrl || WORD_DATA_CONFIG.assetBaseUrl;
+        this.entries = new Map();
+        this.loaded = false;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Lowercase a word and drop punctuation and possessives
+     */
+    static normalize(word) {
+        return String(word || '')
+            .toLowerCase()
+            .replace(/[‘’]/g, "'")
+            .replace(/'s$/, '')
+            .replace(/[^a-z\s'-]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Possible headwords for a word, most likely first
+     * "puppies" -> puppy, "boxes" -> box, "hopping" -> hop, "baked" -> bake
+     */
+    static getCandidates(word) {
+        const base = WordData.normalize(word);
+        if (!base) return [];
+
+        const candidates = [base];
+        const add = candidate => {
+            if (candidate.length > 1 && !candidates.includes(candidate)) {
+                candidates.push(candidate);
+            }
+        };
+
+        // Plurals
+        if (base.endsWith('ies')) add(`${base.slice(0, -3)}y`);
+        if (base.endsWith('ves')) {
+            add(`${base.slice(0, -3)}f`);
+            add(`${base.slice(0, -3)}fe`);
+        }
+        if (/(s|x|z|ch|sh)es$/.test(base)) add(base.slice(0, -2));
+        if (/[^s]s$/.test(base)) add(base.slice(0, -1));
+
+        // -ing and -ed
+        ['ing', 'ed'].forEach(suffix => {
+            if (!base.endsWith(suffix)) return;
+            const stem = base.slice(0, -suffix.length);
+
+            if (suffix === 'ed' && stem.endsWith('i')) add(`${stem.slice(0, -1)}y`);
+            add(stem);
+            add(`${stem}e`);
+            // Doubled final consonant: hopping, stopped
+            if (/([b-df-hj-np-tv-z])\1$/.test(stem)) add(stem.slice(0, -1));
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Replace the in-memory dictionary
+     * @param {Object} data - Parsed consolidated_words.json {version, words: {headword: entry}}
+     */
+    setDictionary(data) {
+        if (!data || typeof data.words !== 'object') {
+            throw new Error('Word dictionary has no words');
+        }
+
+        this.entries = new Map(Object.entries(data.words).map(([word, entry]) => [WordData.normalize(word), { word, ...entry }]));
+        this.loaded = true;
+    }
+
+    /**
+     * Fetch the bundled dictionary once
+     * @returns {Promise<boolean>} Whether the dictionary is available
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.dictionaryUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Word dictionary request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.setDictionary(data);
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('Word dictionary could not be loaded:', error);
+                    return false;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    resolveAssetUrl(path) {
+        if (!path) return null;
+        return /^([a-z]+:|\/)/i.test(path) ? path : `${this.assetBaseUrl}${path}`;
+    }
+
+    /**
+     * Dictionary details for a word
+     * @param {string} word - Word as typed by the teacher
+     * @returns {Object|null} {word, definition, partOfSpeech, difficulty, phonics, syllables, imageUrl, audioUrl, inflected}
+     */
+    lookup(word) {
+        const candidates = WordData.getCandidates(word);
+        const headword = candidates.find(candidate => this.entries.has(candidate));
+        if (!headword) return null;
+
+        const entry = this.entries.get(headword);
+        return {
+            word: entry.word,
+            definition: entry.definition || null,
+            partOfSpeech: entry.part_of_speech || null,
+            difficulty: entry.difficulty || null,
+            phonics: Array.isArray(entry.phonics_chunks) ? [...entry.phonics_chunks] : null,
+            syllables: Array.isArray(entry.syllables) ? [...entry.syllables] : null,
+            imageUrl: this.resolveAssetUrl(entry.image_url),
+            audioUrl: this.resolveAssetUrl(entry.audio_url),
+            inflected: headword !== candidates[0]
+        };
+    }
+
+    /**
+     * Every dictionary word with its details, in headword order
+     */
+    getEntries() {
+        return Array.from(this.entries.keys()).map(headword => this.lookup(headword));
+    }
+
+    /**
+     * Lookup result flagged with whether the dictionary knows the word
+     * Returns null until the dictionary has loaded, so nothing is flagged early
+     */
+    describe(word) {
+        if (!this.loaded) return null;
+
+        const details = this.lookup(word);
+        return details ? { ...details, known: true } : { word, known: false };
+    }
+
+    /**
+     * Word details worth keeping with a lesson word
+     */
+    static pickLessonFields(details) {
+        if (!details || !details.known) return {};
+
+        return Object.fromEntries(WORD_DATA_CONFIG.lessonFields
+            .filter(field => details[field] !== null && details[field] !== undefined)
+            .map(field => [field, details[field]]));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WordData, WORD_DATA_CONFIG };
+}
+
+// Global namespace for browser usage
+if (typeof window !== 'undefined') {
+    window.WordData = WordData;
+    window.WORD_DATA_CONFIG = WORD_DATA_CONFIG;
+    window.wordData = new WordData();
+}
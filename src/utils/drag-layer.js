@@ -0,0 +1,407 @@
+/**
+ * Drag Layer - Pointer-events drag and drop for touch, mouse and pen
+ * HTML5 dragstart/drop never fires on iOS and Android touch screens, so tiles are moved with pointer events instead
+ * Tiles can also be tapped (or picked with Enter/Space) and then placed by tapping a slot
+ * Every pick-up and placement is announced through an ARIA live region
+ */
+
+// Distance in px a press has to travel before it becomes a drag rather than a tap
+const DRAG_THRESHOLD = 6;
+
+// Fired on [data-drop-target] elements when a [data-drag-item] is dropped on them
+const DROP_EVENT = 'twibble:drop';
+
+/**
+ * Visually hidden live region for drag announcements
+ * @param {HTMLElement} parent - Where the region is attached
+ * @returns {Object} {element, announce(message)}
+ */
+function createLiveAnnouncer(parent = document.body) {
+  const region = document.createElement('div');
+  region.className = 'sr-only';
+  region.setAttribute('role', 'status');
+  region.setAttribute('aria-live', 'polite');
+  region.setAttribute('aria-atomic', 'true');
+  parent.appendChild(region);
+
+  return {
+    element: region,
+    announce(message) {
+      if (!message) return;
+      // Cleared first so the same message twice in a row is still read out
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = message;
+      }, 50);
+    }
+  };
+}
+
+/**
+ * Drag Layer
+ * @param {Object} config - Layer configuration
+ * @param {HTMLElement|Document} config.root - Element whose tiles and slots are handled
+ * @param {string} config.itemSelector - Tiles that can be moved
+ * @param {string} config.targetSelector - Slots tiles can be dropped on
+ * @param {Function} config.getLabel - Spoken name of a tile or slot
+ * @param {Function} config.canDrag - Whether a tile can be picked up right now
+ * @param {Function} config.canDrop - Whether a tile may go in a slot
+ * @param {Function} config.onDrop - Place handler (item, target); may return the text to announce
+ * @param {Function} config.onTargetActivate - Tap or Enter on a slot with no tile picked up; may return the text to announce
+ * @param {Object} config.announcer - Live region from createLiveAnnouncer
+ * @param {boolean} config.prepareElements - Make existing tiles and slots focusable and touch-draggable straight away
+ * @returns {Object} {refresh, announce, cancel, destroy}
+ */
+function createDragLayer(config = {}) {
+  const {
+    root = document,
+    itemSelector,
+    targetSelector,
+    getLabel = element => element.getAttribute('aria-label') || element.textContent.trim(),
+    canDrag = () => true,
+    canDrop = () => true,
+    onDrop = () => {},
+    onTargetActivate = null,
+    announcer = createLiveAnnouncer(),
+    prepareElements = true
+  } = config;
+
+  if (!itemSelector || !targetSelector) {
+    throw new Error('Drag layer needs an item and a target selector');
+  }
+
+  // Tile picked up by a tap or the keyboard, waiting for a slot
+  let selected = null;
+  // Pointer press that turns into a drag once it moves far enough
+  let press = null;
+  // A finished drag is followed by a click on the tile, which must not select it
+  let suppressClick = false;
+
+  const findItem = element => {
+    const item = element && element.closest ? element.closest(itemSelector) : null;
+    return item && root.contains(item) ? item : null;
+  };
+
+  const findTarget = element => {
+    const target = element && element.closest ? element.closest(targetSelector) : null;
+    return target && root.contains(target) ? target : null;
+  };
+
+  const getItems = () => Array.from(root.querySelectorAll(itemSelector));
+  const getTargets = () => Array.from(root.querySelectorAll(targetSelector));
+
+  const clearSelection = () => {
+    if (selected) {
+      selected.classList.remove('selected');
+      selected.setAttribute('aria-pressed', 'false');
+    }
+    selected = null;
+  };
+
+  const select = item => {
+    clearSelection();
+    selected = item;
+    item.classList.add('selected');
+    item.setAttribute('aria-pressed', 'true');
+    announcer.announce(`Picked up ${getLabel(item)}. Choose where it goes, or press Escape to put it back.`);
+  };
+
+  const place = (item, target) => {
+    clearSelection();
+
+    if (!canDrop(item, target)) {
+      announcer.announce(`${getLabel(item)} cannot go in ${getLabel(target)}`);
+      return false;
+    }
+
+    const label = getLabel(item);
+    const message = onDrop(item, target);
+    announcer.announce(message || `Placed ${label} in ${getLabel(target)}`);
+    return true;
+  };
+
+  // Tap, click, Enter and Space all end up here
+  const activate = (element, fromKeyboard) => {
+    const item = findItem(element);
+    if (item) {
+      if (!canDrag(item)) return;
+      if (selected === item) {
+        clearSelection();
+        announcer.announce(`Put back ${getLabel(item)}`);
+      } else {
+        select(item);
+      }
+      return;
+    }
+
+    const target = findTarget(element);
+    if (!target) return;
+
+    if (selected) {
+      const placed = place(selected, target);
+      // Keep keyboard users moving: focus the next tile that can still be placed
+      if (placed && fromKeyboard) {
+        const next = getItems().find(candidate => canDrag(candidate));
+        if (next) next.focus();
+      }
+    } else if (onTargetActivate) {
+      announcer.announce(onTargetActivate(target));
+    }
+  };
+
+  const moveGhost = (event) => {
+    press.ghost.style.left = `${event.clientX - press.offsetX}px`;
+    press.ghost.style.top = `${event.clientY - press.offsetY}px`;
+
+    // The ghost ignores pointer events, so this finds whatever is underneath it
+    const over = findTarget(document.elementFromPoint(event.clientX, event.clientY));
+    if (over !== press.over) {
+      if (press.over) press.over.classList.remove('drag-over');
+      if (over) over.classList.add('drag-over');
+      press.over = over;
+    }
+  };
+
+  const startDrag = (event) => {
+    const { item } = press;
+    const rect = item.getBoundingClientRect();
+
+    clearSelection();
+    press.offsetX = press.startX - rect.left;
+    press.offsetY = press.startY - rect.top;
+    press.ghost = item.cloneNode(true);
+    press.ghost.removeAttribute('id');
+    press.ghost.setAttribute('aria-hidden', 'true');
+    press.ghost.classList.add('drag-ghost');
+    Object.assign(press.ghost.style, {
+      position: 'fixed',
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      margin: '0',
+      pointerEvents: 'none',
+      zIndex: '1000',
+      opacity: '0.9'
+    });
+    document.body.appendChild(press.ghost);
+    item.classList.add('dragging');
+
+    if (item.setPointerCapture) {
+      try {
+        item.setPointerCapture(event.pointerId);
+      } catch (err) {
+        // The pointer may already be gone; the document listeners still track it
+      }
+    }
+
+    announcer.announce(`Picked up ${getLabel(item)}`);
+    moveGhost(event);
+  };
+
+  const endPress = () => {
+    if (!press) return;
+    if (press.ghost) {
+      press.ghost.remove();
+      press.item.classList.remove('dragging');
+      if (press.over) press.over.classList.remove('drag-over');
+    }
+    press = null;
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+    const item = findItem(event.target);
+    if (!item || !canDrag(item)) return;
+
+    press = { item, pointerId: event.pointerId, startX: event.clientX, startY: event.clientY, ghost: null, over: null };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    if (!press.ghost) {
+      const distance = Math.hypot(event.clientX - press.startX, event.clientY - press.startY);
+      if (distance < DRAG_THRESHOLD) return;
+      startDrag(event);
+    } else {
+      moveGhost(event);
+    }
+    event.preventDefault();
+  };
+
+  const handlePointerUp = (event) => {
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    if (press.ghost) {
+      const { item, over } = press;
+      endPress();
+      suppressClick = true;
+      // The click that follows a drag lands wherever the pointer was released, not always on the tile
+      setTimeout(() => {
+        suppressClick = false;
+      }, 0);
+
+      if (over) {
+        place(item, over);
+      } else {
+        announcer.announce(`Put back ${getLabel(item)}`);
+      }
+    } else {
+      // No movement: the click event that follows handles it as a tap
+      endPress();
+    }
+  };
+
+  // Native drags (e.g. draggable word chips with a mouse) and scrolling cancel the press
+  const handlePointerCancel = (event) => {
+    if (press && event.pointerId === press.pointerId) {
+      endPress();
+    }
+  };
+
+  const handleClick = (event) => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    if (findItem(event.target) || findTarget(event.target)) {
+      activate(event.target, false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    const item = findItem(event.target);
+    const target = item ? null : findTarget(event.target);
+    const element = item || target;
+
+    if (event.key === 'Escape' && selected) {
+      event.preventDefault();
+      const putBack = selected;
+      clearSelection();
+      putBack.focus();
+      announcer.announce(`Put back ${getLabel(putBack)}`);
+      return;
+    }
+
+    if (!element || event.target !== element) return;
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      // Native buttons turn Enter and Space into clicks by themselves
+      if (element.tagName === 'BUTTON') return;
+      event.preventDefault();
+      activate(element, true);
+      return;
+    }
+
+    // Arrow keys step between tiles, or between slots
+    const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+    if (step) {
+      const group = item ? getItems() : getTargets();
+      const next = group[group.indexOf(element) + step];
+      if (next) {
+        event.preventDefault();
+        next.focus();
+      }
+    }
+  };
+
+  /**
+   * Make the current tiles and slots focusable and touch-draggable
+   * Call again after tiles or slots are added
+   */
+  const refresh = () => {
+    getItems().forEach(item => {
+      // Native dragging would swallow the pointer events with a mouse
+      item.setAttribute('draggable', 'false');
+      item.style.touchAction = 'none';
+      if (item.tagName !== 'BUTTON') {
+        item.setAttribute('role', 'button');
+      }
+      item.setAttribute('tabindex', canDrag(item) ? '0' : '-1');
+      item.setAttribute('aria-pressed', item === selected ? 'true' : 'false');
+    });
+
+    getTargets().forEach(target => {
+      if (!target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '0');
+      }
+    });
+  };
+
+  root.addEventListener('pointerdown', handlePointerDown);
+  document.addEventListener('pointermove', handlePointerMove, { passive: false });
+  document.addEventListener('pointerup', handlePointerUp);
+  document.addEventListener('pointercancel', handlePointerCancel);
+  root.addEventListener('click', handleClick);
+  root.addEventListener('keydown', handleKeyDown);
+
+  if (prepareElements) {
+    refresh();
+  }
+
+  return {
+    refresh,
+    announce: message => announcer.announce(message),
+    cancel: () => {
+      endPress();
+      clearSelection();
+    },
+    destroy: () => {
+      endPress();
+      clearSelection();
+      root.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('pointermove', handlePointerMove);
+      document.removeEventListener('pointerup', handlePointerUp);
+      document.removeEventListener('pointercancel', handlePointerCancel);
+      root.removeEventListener('click', handleClick);
+      root.removeEventListener('keydown', handleKeyDown);
+      if (!config.announcer) announcer.element.remove();
+    }
+  };
+}
+
+let documentLayer = null;
+
+/**
+ * One shared layer that lets any [data-drag-item] be dropped on any [data-drop-target]
+ * The target receives a cancelable DROP_EVENT with {data, item}; data comes from data-drag-data
+ */
+function enableDocumentDragDrop() {
+  if (documentLayer) return documentLayer;
+
+  const getData = (item) => {
+    const raw = item.getAttribute('data-drag-data');
+    if (!raw) return item.textContent.trim();
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      return raw;
+    }
+  };
+
+  documentLayer = createDragLayer({
+    root: document,
+    itemSelector: '[data-drag-item]',
+    targetSelector: '[data-drop-target]',
+    // Items come and go with their pages; each one sets up its own tabindex and touch-action
+    prepareElements: false,
+    onDrop: (item, target) => {
+      const accepted = target.dispatchEvent(new CustomEvent(DROP_EVENT, {
+        bubbles: true,
+        cancelable: true,
+        detail: { data: getData(item), item }
+      }));
+      return accepted ? null : `${item.textContent.trim()} cannot go there`;
+    }
+  });
+
+  return documentLayer;
+}
+
+export {
+  createDragLayer,
+  createLiveAnnouncer,
+  enableDocumentDragDrop,
+  DROP_EVENT,
+  DRAG_THRESHOLD
+};
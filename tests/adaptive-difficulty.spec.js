@@ -0,0 +1,72 @@
+const { test, expect } = require('@playwright/test');
+const { AdaptiveDifficulty, ADAPTIVE_CONFIG } = require('../src/js/adaptive-difficulty.js');
+const { HINT_LADDERS } = require('../src/js/hints.js');
+
+const attempts = (level, results) => results.map((correct, i) => ({ correct, level, at: i }));
+const fullRange = { min: 1, max: 3 };
+
+test.describe('Adaptive Difficulty', () => {
+
+  test('counts only first-try successes as accurate', () => {
+    expect(AdaptiveDifficulty.isAccurate({ completed: true, tries: 1 })).toBe(true);
+    expect(AdaptiveDifficulty.isAccurate({ completed: true })).toBe(true);
+    expect(AdaptiveDifficulty.isAccurate({ completed: true, tries: 2 })).toBe(false);
+    expect(AdaptiveDifficulty.isAccurate({ completed: true, correct: false, tries: 1 })).toBe(false);
+    expect(AdaptiveDifficulty.isAccurate({ completed: false, skipped: true })).toBe(false);
+    expect(AdaptiveDifficulty.isAccurate({ completed: true, tries: 1, hints: ['play-audio'] })).toBe(false);
+  });
+
+  test('starts at the default level and waits for enough attempts before moving', () => {
+    expect(AdaptiveDifficulty.chooseLevel([], fullRange)).toBe(ADAPTIVE_CONFIG.defaultLevel);
+    expect(AdaptiveDifficulty.chooseLevel(attempts(2, [true, true]), fullRange)).toBe(2);
+  });
+
+  test('raises the level on high accuracy and lowers it on low accuracy', () => {
+    expect(AdaptiveDifficulty.chooseLevel(attempts(2, [true, true, true, true, false]), fullRange)).toBe(3);
+    expect(AdaptiveDifficulty.chooseLevel(attempts(2, [false, true, false]), fullRange)).toBe(1);
+    expect(AdaptiveDifficulty.chooseLevel(attempts(2, [true, false, true, false, true, true]), fullRange)).toBe(2);
+  });
+
+  test('judges a new level only on attempts served at it', () => {
+    const history = [...attempts(2, [true, true, true]), ...attempts(3, [false, false])];
+
+    expect(AdaptiveDifficulty.chooseLevel(history, fullRange)).toBe(3);
+    expect(AdaptiveDifficulty.chooseLevel([...history, ...attempts(3, [false])], fullRange)).toBe(2);
+  });
+
+  test('stays within the teacher bounds, reading a reversed pair as one level', () => {
+    expect(AdaptiveDifficulty.getBounds({ minDifficulty: 1, maxDifficulty: 2 })).toEqual({ min: 1, max: 2 });
+    expect(AdaptiveDifficulty.getBounds({ minDifficulty: 3, maxDifficulty: 1 })).toEqual({ min: 3, max: 3 });
+    expect(AdaptiveDifficulty.getBounds()).toEqual(fullRange);
+
+    expect(AdaptiveDifficulty.chooseLevel(attempts(2, [true, true, true]), { min: 1, max: 2 })).toBe(2);
+    expect(AdaptiveDifficulty.chooseLevel(attempts(1, [false, false, false]), { min: 1, max: 3 })).toBe(1);
+    expect(AdaptiveDifficulty.chooseLevel(attempts(3, [true]), { min: 1, max: 2 })).toBe(2);
+  });
+
+  test('serves more options and fewer hints at higher levels', () => {
+    const [easy, standard, hard] = [1, 2, 3].map(level => AdaptiveDifficulty.getParams(level));
+
+    expect(easy.mcqOptions).toBeLessThan(standard.mcqOptions);
+    expect(standard.mcqOptions).toBeLessThan(hard.mcqOptions);
+    expect(easy.hints).toBeGreaterThan(standard.hints);
+    expect(standard.hints).toBeGreaterThan(hard.hints);
+    // Every allowance maps onto the hint ladders, so each level changes what a student can open
+    const longestLadder = Math.max(...Object.values(HINT_LADDERS).map(ladder => ladder.length));
+    expect(easy.hints).toBeLessThanOrEqual(longestLadder);
+    expect(hard.chunkDistractors).toBeGreaterThan(easy.chunkDistractors);
+    expect(AdaptiveDifficulty.getParams(9).level).toBe(ADAPTIVE_CONFIG.defaultLevel);
+  });
+
+  test('keeps a bounded history per activity type', () => {
+    let history = {};
+    for (let i = 0; i < ADAPTIVE_CONFIG.historyLimit + 5; i++) {
+      history = AdaptiveDifficulty.record(history, 'spelling', { correct: true, level: 2, at: i });
+    }
+    history = AdaptiveDifficulty.record(history, 'phonics', { correct: false, level: 1, at: 0 });
+
+    expect(history.spelling).toHaveLength(ADAPTIVE_CONFIG.historyLimit);
+    expect(history.spelling[0].at).toBe(5);
+    expect(history.phonics).toEqual([{ correct: false, level: 1, at: 0 }]);
+  });
+});
@@ -0,0 +1,90 @@
+const { test, expect } = require('@playwright/test');
+const { AssemblyState } = require('../src/js/assembly.js');
+
+test.describe('AssemblyState', () => {
+
+  test('fills slots in order and checks against the target', () => {
+    const assembly = new AssemblyState({ target: ['el', 'e', 'phant'], pool: ['phant', 'el', 'e'] });
+
+    expect(assembly.place(1)).toBe(0);
+    expect(assembly.place(2)).toBe(1);
+    expect(assembly.check()).toEqual({ complete: false, correct: false, tries: 0, wrongSlots: [] });
+
+    expect(assembly.place(0)).toBe(2);
+    expect(assembly.getAssembled()).toEqual(['el', 'e', 'phant']);
+    expect(assembly.check()).toEqual({ complete: true, correct: true, tries: 1, wrongSlots: [] });
+
+    // Solved assemblies are locked
+    expect(assembly.remove(0)).toBeNull();
+    expect(assembly.undo()).toBeNull();
+  });
+
+  test('refuses pieces that are used or slots that are taken', () => {
+    const assembly = new AssemblyState({ target: ['c', 'a', 't'], pool: ['t', 'a', 'c', 'b'] });
+
+    expect(assembly.place(2, 0)).toBe(0);
+    expect(assembly.place(2, 1)).toBe(-1);
+    expect(assembly.place(1, 0)).toBe(-1);
+    expect(assembly.place(9)).toBe(-1);
+    expect(assembly.place(1, 5)).toBe(-1);
+  });
+
+  test('undo and remove send pieces back to the pool', () => {
+    const assembly = new AssemblyState({ target: ['d', 'o', 'g'], pool: ['g', 'o', 'd'] });
+
+    assembly.place(2, 0);
+    assembly.place(0, 2);
+    assembly.place(1, 1);
+
+    expect(assembly.undo()).toBe(1);
+    expect(assembly.remove(0)).toBe(2);
+    expect(assembly.isPlaced(2)).toBe(false);
+    expect(assembly.undo()).toBe(0);
+    expect(assembly.undo()).toBeNull();
+    expect(assembly.slots).toEqual([null, null, null]);
+  });
+
+  test('treats repeated letters as interchangeable', () => {
+    const assembly = new AssemblyState({ target: 'rabbit'.split(''), pool: ['b', 't', 'a', 'b', 'i', 'r'] });
+
+    // Second "b" first, then the first one
+    [5, 2, 3, 0, 4, 1].forEach(pieceId => assembly.place(pieceId));
+
+    expect(assembly.check().correct).toBe(true);
+  });
+
+  test('marks wrong slots and keeps the right ones on Try Again', () => {
+    const assembly = new AssemblyState({ target: ['h', 'o', 'p'], pool: ['p', 'o', 'h', 'q'] });
+
+    [2, 1, 3].forEach(pieceId => assembly.place(pieceId));
+    const result = assembly.check();
+
+    expect(result).toEqual({ complete: true, correct: false, tries: 1, wrongSlots: [2] });
+
+    assembly.clearWrong(result.wrongSlots);
+    expect(assembly.getAssembled()).toEqual(['h', 'o', null]);
+
+    assembly.place(0);
+    expect(assembly.check()).toEqual({ complete: true, correct: true, tries: 2, wrongSlots: [] });
+  });
+
+  test('reveals the first piece as a hint and keeps it out of Undo', () => {
+    const assembly = new AssemblyState({ target: ['b', 'u', 'g'], pool: ['g', 'd', 'u', 'b'] });
+
+    assembly.place(1, 0);
+    assembly.place(3, 1);
+    expect(assembly.reveal(0)).toBe(3);
+    expect(assembly.getAssembled()).toEqual(['b', null, null]);
+
+    expect(assembly.remove(0)).toBeNull();
+    assembly.place(2);
+    assembly.undo();
+    expect(assembly.undo()).toBeNull();
+    expect(assembly.getAssembled()).toEqual(['b', null, null]);
+    expect(assembly.reveal(0)).toBe(3);
+  });
+
+  test('needs a target', () => {
+    expect(() => new AssemblyState({ target: [] })).toThrow('at least one target piece');
+  });
+});
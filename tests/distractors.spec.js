@@ -0,0 +1,113 @@
+const { test, expect } = require('@playwright/test');
+const { Distractors, DISTRACTOR_CONFIG } = require('../src/js/distractors.js');
+const { WordData } = require('../src/js/word-data.js');
+const dictionary = require('../src/data/consolidated_words.json');
+
+const wordData = new WordData();
+wordData.setDictionary(dictionary);
+const dictionaryWords = wordData.getEntries();
+
+const lessonWords = ['elephant', 'penguin', 'butterfly', 'happy', 'jump'].map(word => wordData.lookup(word));
+
+test.describe('Distractors', () => {
+
+  test('seeded random numbers repeat for the same seed', () => {
+    const first = Distractors.createRandom(Distractors.hashSeed('tiger', 0));
+    const second = Distractors.createRandom(Distractors.hashSeed('tiger', 0));
+    const other = Distractors.createRandom(Distractors.hashSeed('tiger', 1));
+
+    const values = [first(), first(), first()];
+    expect([second(), second(), second()]).toEqual(values);
+    expect([other(), other(), other()]).not.toEqual(values);
+  });
+
+  test('never repeats a definition or offers the correct one', () => {
+    const target = lessonWords[0];
+    const duplicate = { word: 'pachyderm', definition: `${target.definition}.`, partOfSpeech: 'noun' };
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const picked = Distractors.pickDefinitions(target, { lessonWords: [...lessonWords, duplicate], dictionaryWords, attempt });
+
+      expect(picked).toHaveLength(3);
+      expect(new Set(picked).size).toBe(3);
+      expect(picked).not.toContain(target.definition);
+      expect(picked).not.toContain(duplicate.definition);
+    }
+  });
+
+  test('prefers the same part of speech and a similar definition length', () => {
+    const target = wordData.lookup('brave');
+    const picked = Distractors.pickDefinitions(target, { dictionaryWords, attempt: 2 });
+    const byDefinition = new Map(dictionaryWords.map(entry => [entry.definition, entry]));
+
+    picked.forEach(definition => {
+      expect(byDefinition.get(definition).partOfSpeech).toBe('adjective');
+      expect(Math.abs(definition.length - target.definition.length)).toBeLessThan(target.definition.length);
+    });
+  });
+
+  test('gives the same options for the same word and attempt', () => {
+    const target = lessonWords[1];
+    const build = attempt => Distractors.buildDefinitionOptions(target, { lessonWords, dictionaryWords, attempt });
+
+    expect(build(0)).toEqual(build(0));
+    expect(build(0).filter(option => option.correct)).toEqual([{ text: target.definition, correct: true }]);
+    expect(build(0)).toHaveLength(4);
+    expect([1, 2, 3, 4].some(attempt => JSON.stringify(build(attempt)) !== JSON.stringify(build(0)))).toBe(true);
+  });
+
+  test('scales spelling distractors with word difficulty', () => {
+    Object.entries(DISTRACTOR_CONFIG.letterCounts).forEach(([difficulty, count]) => {
+      expect(Distractors.pickLetters('elephant', { difficulty })).toHaveLength(count);
+    });
+    expect(Distractors.pickLetters('elephant', { difficulty: 'unknown' })).toHaveLength(DISTRACTOR_CONFIG.letterCounts.medium);
+  });
+
+  test('shifts the spelling distractor count for the adaptive level, keeping at least one', () => {
+    expect(Distractors.pickLetters('elephant', { difficulty: 'medium', shift: 2 })).toHaveLength(DISTRACTOR_CONFIG.letterCounts.medium + 2);
+    expect(Distractors.pickLetters('elephant', { difficulty: 'easy', shift: -2 })).toHaveLength(1);
+  });
+
+  test('picks phonics distractor chunks from other lesson words', () => {
+    const chunks = Distractors.pickChunks(['el', 'e', 'phant'], { lessonWords, count: 2, attempt: 1 });
+    const lessonChunks = lessonWords.flatMap(entry => entry.phonics);
+
+    expect(chunks).toHaveLength(2);
+    chunks.forEach(chunk => {
+      expect(lessonChunks).toContain(chunk);
+      expect(['el', 'e', 'phant']).not.toContain(chunk);
+    });
+    expect(Distractors.pickChunks(['el', 'e', 'phant'], { lessonWords, count: 2, attempt: 1 })).toEqual(chunks);
+    expect(Distractors.pickChunks(['el', 'e', 'phant'], { lessonWords, count: 0 })).toEqual([]);
+  });
+
+  test('picks confusable spelling letters without copying the word', () => {
+    const picked = Distractors.pickLetters('bed', { difficulty: 'hard' });
+
+    expect(picked).toEqual(expect.arrayContaining(['p', 'q']));
+    expect(picked.some(letter => ['i', 'a'].includes(letter))).toBe(true);
+    expect(picked).not.toContain('e');
+    expect(new Set(picked).size).toBe(picked.length);
+
+    // Only the doubled-consonant distractor may repeat a letter of the word, never a vowel
+    const repeats = Distractors.pickLetters('hop', { difficulty: 'hard' }).filter(letter => 'hop'.includes(letter));
+    expect(repeats.length).toBeLessThanOrEqual(1);
+    repeats.forEach(letter => expect('aeiou').not.toContain(letter));
+    expect(Distractors.pickLetters('hop', { difficulty: 'easy' }).filter(letter => 'hop'.includes(letter))).toEqual([]);
+  });
+
+  test('builds the same letter pool for the same word and attempt', () => {
+    const pool = Distractors.buildLetterOptions('rabbit', { difficulty: 'medium', attempt: 3 });
+
+    expect(pool).toEqual(Distractors.buildLetterOptions('rabbit', { difficulty: 'medium', attempt: 3 }));
+    expect(pool).toHaveLength('rabbit'.length + DISTRACTOR_CONFIG.letterCounts.medium);
+    expect(pool).toEqual(expect.arrayContaining('rabbit'.split('')));
+  });
+
+  test('returns fewer options when there are not enough candidates', () => {
+    const target = { word: 'cat', definition: 'A small furry pet', partOfSpeech: 'noun' };
+    const options = Distractors.buildDefinitionOptions(target, { lessonWords: [{ word: 'dog', definition: 'A pet that barks' }, { word: 'Cat', definition: 'Another cat' }] });
+
+    expect(options.map(option => option.text).sort()).toEqual(['A pet that barks', 'A small furry pet']);
+  });
+});
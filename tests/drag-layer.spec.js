@@ -0,0 +1,117 @@
+const { test, expect } = require('@playwright/test');
+const { installFakeDom } = require('./helpers/fake-dom.js');
+const { createDragLayer, enableDocumentDragDrop, DROP_EVENT } = require('../src/utils/drag-layer.js');
+
+// Announcements are written after a short delay so repeats are still read out
+const announced = async announcer => {
+  await new Promise(resolve => setTimeout(resolve, 60));
+  return announcer.element.textContent;
+};
+
+const dom = installFakeDom();
+
+// Board of letter tiles and empty slots, with a spy announcer
+function createBoard(letters = ['c', 'a', 't']) {
+  const root = dom.document.body.appendChild(dom.create('div'));
+  const tiles = letters.map(letter => root.appendChild(dom.create('div', { class: 'tile', 'aria-label': letter }, letter)));
+  const slots = letters.map((_, index) => root.appendChild(dom.create('div', { class: 'slot', 'aria-label': `Slot ${index + 1}` })));
+  const announcer = { element: dom.create('div'), announce(message) { setTimeout(() => { this.element.textContent = message; }, 50); } };
+  return { root, tiles, slots, announcer };
+}
+
+const click = element => element.dispatchEvent(dom.event('click'));
+const press = (element, key) => element.dispatchEvent(dom.event('keydown', { key }));
+
+test.describe('Drag Layer', () => {
+
+  test.afterAll(() => dom.restore());
+
+  test('places a tapped tile in the slot tapped next', async () => {
+    const { root, tiles, slots, announcer } = createBoard();
+    const drops = [];
+    const layer = createDragLayer({
+      root,
+      itemSelector: '.tile',
+      targetSelector: '.slot',
+      announcer,
+      canDrop: (item, target) => target !== slots[2],
+      onDrop: (item, target) => { drops.push([item.textContent, target.getAttribute('aria-label')]); }
+    });
+
+    click(tiles[1]);
+    expect(tiles[1].getAttribute('aria-pressed')).toBe('true');
+    expect(tiles[1].classList.contains('selected')).toBe(true);
+
+    click(slots[0]);
+    expect(drops).toEqual([['a', 'Slot 1']]);
+    expect(tiles[1].getAttribute('aria-pressed')).toBe('false');
+    expect(await announced(announcer)).toBe('Placed a in Slot 1');
+
+    click(tiles[0]);
+    click(slots[2]);
+    expect(drops).toHaveLength(1);
+    expect(await announced(announcer)).toBe('c cannot go in Slot 3');
+
+    layer.destroy();
+  });
+
+  test('picks up and places tiles from the keyboard, moving focus to the next tile', async () => {
+    const { root, tiles, slots, announcer } = createBoard();
+    const placed = new Set();
+    const layer = createDragLayer({
+      root,
+      itemSelector: '.tile',
+      targetSelector: '.slot',
+      announcer,
+      canDrag: item => !placed.has(item),
+      onDrop: item => { placed.add(item); }
+    });
+
+    expect(tiles[0].getAttribute('tabindex')).toBe('0');
+    expect(tiles[0].getAttribute('role')).toBe('button');
+
+    press(tiles[0], 'Enter');
+    expect(tiles[0].getAttribute('aria-pressed')).toBe('true');
+
+    slots[0].focus();
+    press(slots[0], 'ArrowRight');
+    expect(dom.document.activeElement).toBe(slots[1]);
+
+    press(slots[1], ' ');
+    expect(placed.has(tiles[0])).toBe(true);
+    expect(dom.document.activeElement).toBe(tiles[1]);
+
+    press(tiles[1], 'Enter');
+    press(tiles[1], 'Escape');
+    expect(tiles[1].getAttribute('aria-pressed')).toBe('false');
+    expect(await announced(announcer)).toBe('Put back a');
+
+    layer.destroy();
+  });
+
+  test('document layer sends the tile data to the drop target in a cancelable event', async () => {
+    const root = dom.document.body.appendChild(dom.create('div'));
+    const chip = root.appendChild(dom.create('span', { 'data-drag-item': '', 'data-drag-data': '{"word":"cat"}' }, 'cat'));
+    const group = root.appendChild(dom.create('div', { 'data-drop-target': '' }));
+    const closed = root.appendChild(dom.create('div', { 'data-drop-target': '' }));
+    const received = [];
+    group.addEventListener(DROP_EVENT, event => received.push(event.detail));
+    closed.addEventListener(DROP_EVENT, event => event.preventDefault());
+
+    const layer = enableDocumentDragDrop();
+    expect(enableDocumentDragDrop()).toBe(layer);
+
+    click(chip);
+    click(group);
+    expect(received).toEqual([{ data: { word: 'cat' }, item: chip }]);
+
+    click(chip);
+    click(closed);
+    expect(received).toHaveLength(1);
+
+    const region = dom.document.body.querySelectorAll('[aria-live="polite"]').pop();
+    expect(await announced({ element: region })).toBe('cat cannot go there');
+
+    layer.destroy();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Minimal DOM stand-in so ES module UI utilities can be exercised without a browser
+ * Supports tag, .class, [attr] and [attr="value"] selectors, bubbling events and focus
+ */
+class FakeElement {
+  constructor(tagName, ownerDocument) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.children = [];
+    this.attributes = new Map();
+    this.listeners = new Map();
+    this.style = {};
+    this.textContent = '';
+    const classes = new Set();
+    this.classList = {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: name => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force)
+    };
+  }
+
+  set className(value) {
+    String(value).split(/\s+/).filter(Boolean).forEach(name => this.classList.add(name));
+  }
+
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+    this.parentNode = null;
+  }
+
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  hasAttribute(name) { return this.attributes.has(name); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  matches(selector) {
+    const attribute = selector.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+    if (attribute) {
+      return this.hasAttribute(attribute[1]) && (attribute[2] === undefined || this.getAttribute(attribute[1]) === attribute[2]);
+    }
+    if (selector.startsWith('.')) return this.classList.contains(selector.slice(1));
+    return this.tagName === selector.toUpperCase();
+  }
+
+  closest(selector) {
+    for (let node = this; node && node.matches; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+
+  contains(element) {
+    for (let node = element; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+
+  querySelectorAll(selector) {
+    const found = [];
+    const walk = node => node.children.forEach(child => {
+      if (child.matches(selector)) found.push(child);
+      walk(child);
+    });
+    walk(this);
+    return found;
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.set(type, (this.listeners.get(type) || []).filter(entry => entry !== listener));
+  }
+
+  dispatchEvent(event) {
+    if (!event.target) event.target = this;
+    for (let node = this; node; node = event.bubbles === false ? null : node.parentNode) {
+      (node.listeners.get(event.type) || []).forEach(listener => listener(event));
+    }
+    return !event.defaultPrevented;
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this;
+  }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 0, height: 0 };
+  }
+}
+
+class FakeEvent {
+  constructor(type, init = {}) {
+    Object.assign(this, { bubbles: true, cancelable: true }, init);
+    this.type = type;
+    this.defaultPrevented = false;
+  }
+
+  preventDefault() {
+    if (this.cancelable) this.defaultPrevented = true;
+  }
+}
+
+class FakeCustomEvent extends FakeEvent {
+  constructor(type, init = {}) {
+    super(type, { bubbles: false, cancelable: false, detail: null, ...init });
+  }
+}
+
+/**
+ * Fresh document with a body, plus globals for code that reads document and CustomEvent
+ * @returns {Object} {document, create(tagName, attributes, text), event(type, init), restore()}
+ */
+function installFakeDom() {
+  const document = new FakeElement('#document', null);
+  document.ownerDocument = document;
+  document.activeElement = null;
+  document.createElement = tagName => new FakeElement(tagName, document);
+  document.elementFromPoint = () => null;
+  document.body = document.appendChild(document.createElement('body'));
+
+  const previous = { document: global.document, CustomEvent: global.CustomEvent };
+  global.document = document;
+  global.CustomEvent = FakeCustomEvent;
+
+  return {
+    document,
+    create(tagName, attributes = {}, text = '') {
+      const element = document.createElement(tagName);
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (name === 'class') element.className = value;
+        else element.setAttribute(name, value);
+      });
+      element.textContent = text;
+      return element;
+    },
+    event: (type, init) => new FakeEvent(type, init),
+    restore() {
+      global.document = previous.document;
+      global.CustomEvent = previous.CustomEvent;
+    }
+  };
+}
+
+module.exports = { installFakeDom };
@@ -0,0 +1,16 @@
+/**
+ * Minimal Web Storage stand-in so storage-backed services can be exercised without a browser
+ */
+function createMemoryBackend(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    get length() { return data.size; },
+    key: (index) => [...data.keys()][index] ?? null,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+module.exports = { createMemoryBackend };
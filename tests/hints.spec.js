@@ -0,0 +1,42 @@
+const { test, expect } = require('@playwright/test');
+const { Hints, HINT_TYPES } = require('../src/js/hints.js');
+
+test.describe('Hints', () => {
+
+  test('offers each activity its own hints, cheapest first, up to the allowance', () => {
+    expect(Hints.getLadder('spelling', 2).map(hint => hint.id)).toEqual(['play-audio', 'reveal-first']);
+    expect(Hints.getLadder('vocabulary', 2).map(hint => hint.id)).toEqual(['play-audio', 'eliminate-two']);
+    expect(Hints.getLadder('phonics', 1)).toHaveLength(1);
+    expect(Hints.getLadder('phonics', 0)).toEqual([]);
+    expect(Hints.getLadder('vocabulary', 9)).toHaveLength(2);
+    expect(Hints.getLadder('unknown', 3)).toEqual([]);
+  });
+
+  test('opens hints one at a time until none are left', () => {
+    const ladder = Hints.getLadder('phonics', 2);
+
+    expect(Hints.next(ladder, []).label).toBe('Hear the word');
+    expect(Hints.next(ladder, ['play-audio']).label).toBe('Show the first chunk');
+    expect(Hints.next(ladder, ['play-audio', 'reveal-first'])).toBeNull();
+  });
+
+  test('takes each hint cost off the mastery credit', () => {
+    expect(Hints.getCredit([])).toBe(1);
+    expect(Hints.getCredit(['reveal-first'])).toBe(1 - HINT_TYPES.revealFirst.cost);
+    expect(Hints.getCredit(['play-audio', 'eliminate-two'])).toBe(0.5);
+    expect(Hints.getCredit(['eliminate-two', 'eliminate-two', 'eliminate-two'])).toBe(0);
+  });
+
+  test('removes two wrong MCQ answers but never all of them', () => {
+    const options = [
+      { text: 'a', correct: false },
+      { text: 'b', correct: true },
+      { text: 'c', correct: false },
+      { text: 'd', correct: false }
+    ];
+
+    expect(Hints.pickEliminated(options).map(option => option.text)).toEqual(['a', 'c']);
+    expect(Hints.pickEliminated(options.slice(0, 3))).toHaveLength(1);
+    expect(Hints.pickEliminated(options.slice(0, 2))).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ImageAssets, MemoryImageStore, IMAGE_ASSET_CONFIG } = require('../src/js/image-assets.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'data', 'images');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Local static server for the image fixtures; can be switched off to act as offline
+let server;
+let baseUrl;
+let requests = [];
+
+test.beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const file = path.join(FIXTURE_DIR, path.basename(req.url));
+    if (!fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+    fs.createReadStream(file).pipe(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  requests = [];
+});
+
+function createAssets(clock, options = {}) {
+  return new ImageAssets({
+    store: new MemoryImageStore(),
+    fetch: (...args) => fetch(...args),
+    now: () => clock.now,
+    createObjectUrl: blob => `blob:${blob.type}:${blob.size}`,
+    ...options
+  });
+}
+
+test.describe('Image Assets', () => {
+
+  test('builds a placeholder from the initial letter on a design-system color', () => {
+    const url = ImageAssets.getPlaceholder('elephant');
+    const svg = decodeURIComponent(url.replace('data:image/svg+xml;charset=utf-8,', ''));
+
+    expect(url.startsWith('data:image/svg+xml')).toBe(true);
+    expect(svg).toContain('>E</text>');
+    expect(IMAGE_ASSET_CONFIG.placeholderColors).toContain(ImageAssets.getPlaceholderColor('elephant'));
+    expect(ImageAssets.getPlaceholder('elephant')).toBe(url);
+    expect(decodeURIComponent(ImageAssets.getPlaceholder(''))).toContain('>?</text>');
+  });
+
+  test('fetches an image once and serves it from the cache while fresh', async () => {
+    const clock = { now: 0 };
+    const assets = createAssets(clock);
+    const word = { word: 'cat', imageUrl: `${baseUrl}/cat.svg` };
+
+    const first = await assets.getImage(word);
+    expect(first.source).toBe('network');
+    expect(first.url).toMatch(/^blob:image\/svg\+xml:/);
+
+    clock.now = 29 * DAY;
+    expect((await assets.getImage(word)).source).toBe('cache');
+    expect(requests).toEqual(['/cat.svg']);
+  });
+
+  test('refetches an image after the 30-day expiry', async () => {
+    const clock = { now: 0 };
+    const assets = createAssets(clock);
+    const word = { word: 'cat', imageUrl: `${baseUrl}/cat.svg` };
+
+    await assets.getImage(word);
+    clock.now = 30 * DAY;
+
+    expect((await assets.getImage(word)).source).toBe('network');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('uses the placeholder for words without an image or with a missing file', async () => {
+    const assets = createAssets({ now: 0 });
+
+    expect(await assets.getImage('dog')).toMatchObject({ source: 'placeholder', url: ImageAssets.getPlaceholder('dog') });
+    expect(await assets.getImage({ word: 'dog', imageUrl: `${baseUrl}/dog.svg` })).toMatchObject({ source: 'placeholder' });
+    expect(requests).toEqual(['/dog.svg']);
+  });
+
+  test('falls back to an expired copy, then the placeholder, when offline', async () => {
+    const clock = { now: 0 };
+    const online = createAssets(clock);
+    const word = { word: 'cat', imageUrl: `${baseUrl}/cat.svg` };
+    await online.getImage(word);
+
+    const offlineFetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    const offline = createAssets(clock, { store: online.store, fetch: offlineFetch });
+    clock.now = 45 * DAY;
+
+    expect((await offline.getImage(word)).source).toBe('stale');
+    expect((await offline.getImage({ word: 'bird', imageUrl: `${baseUrl}/bird.svg` })).source).toBe('placeholder');
+  });
+
+  test('prunes expired images from the cache', async () => {
+    const clock = { now: 0 };
+    const assets = createAssets(clock);
+    await assets.getImage({ word: 'cat', imageUrl: `${baseUrl}/cat.svg` });
+
+    clock.now = 10 * DAY;
+    expect(await assets.prune()).toBe(0);
+
+    clock.now = 31 * DAY;
+    expect(await assets.prune()).toBe(1);
+    expect(await assets.store.getAll()).toEqual([]);
+  });
+});
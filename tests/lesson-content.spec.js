@@ -0,0 +1,81 @@
+const { test, expect } = require('@playwright/test');
+const { LessonContent, LESSON_DAY_STATES, LESSON_SETTINGS } = require('../src/js/lesson-content.js');
+const { LessonScheduler } = require('../src/js/scheduler.js');
+
+const words = [
+  { word: 'Elephant', activities: ['vocabulary', 'phonics'], definition: 'A large mammal with a trunk', phonics: ['el', 'e', 'phant'] },
+  { word: 'butterfly', activities: ['spelling'] },
+  { word: 'penguin', activities: [] }
+];
+
+const studentLesson = (overrides = {}) => ({
+  id: 'lesson-abc',
+  title: 'Animal Kingdom',
+  words,
+  schedule: {
+    dayCount: 3,
+    days: LessonScheduler.buildDays([['Elephant'], ['butterfly', 'penguin'], []])
+  },
+  currentDay: 1,
+  dayProgress: [
+    { day: 1, status: 'current' },
+    { day: 2, status: 'locked' },
+    { day: 3, status: 'locked' }
+  ],
+  ...overrides
+});
+
+test.describe('Lesson Content', () => {
+
+  test('reports lessons that are missing or have no content', () => {
+    expect(LessonContent.resolveDay([studentLesson()], 'lesson-xyz', 1).state).toBe(LESSON_DAY_STATES.lessonNotFound);
+    expect(LessonContent.resolveDay([studentLesson()], null, 1).state).toBe(LESSON_DAY_STATES.lessonNotFound);
+    expect(LessonContent.resolveDay([studentLesson({ schedule: null })], 'lesson-abc', 1).state).toBe(LESSON_DAY_STATES.lessonNotFound);
+  });
+
+  test('reports days outside the schedule and locked days', () => {
+    const lessons = [studentLesson()];
+
+    expect(LessonContent.resolveDay(lessons, 'lesson-abc', 4)).toMatchObject({ state: LESSON_DAY_STATES.dayNotFound, dayNumber: 4 });
+    expect(LessonContent.resolveDay(lessons, 'lesson-abc', 2)).toMatchObject({ state: LESSON_DAY_STATES.locked, words: [] });
+  });
+
+  test('builds new words before review words from the schedule', () => {
+    const lesson = studentLesson({
+      currentDay: 2,
+      dayProgress: [{ day: 1, status: 'completed' }, { day: 2, status: 'current' }, { day: 3, status: 'locked' }]
+    });
+
+    const result = LessonContent.resolveDay([lesson], 'lesson-abc', 2);
+
+    expect(result.state).toBe(LESSON_DAY_STATES.ready);
+    expect(result.words.map(word => [word.id, word.status])).toEqual([
+      ['butterfly', 'new'],
+      ['penguin', 'new'],
+      ['elephant', 'review']
+    ]);
+    expect(result.words[2]).toMatchObject({ word: 'Elephant', phonics: ['el', 'e', 'phant'], activities: ['vocabulary', 'phonics'] });
+    expect(result.words[1]).toMatchObject({ definition: null, phonics: ['penguin'], activities: ['vocabulary'] });
+  });
+
+  test('falls back to the current day when no day is requested', () => {
+    const result = LessonContent.resolveDay([studentLesson()], 'lesson-abc', NaN);
+
+    expect(result.dayNumber).toBe(1);
+    expect(result.words.map(word => word.word)).toEqual(['Elephant']);
+  });
+
+  test('fills in lesson settings and clamps teacher values', () => {
+    const defaults = Object.fromEntries(Object.entries(LESSON_SETTINGS).map(([key, rule]) => [key, rule.default]));
+
+    expect(LessonContent.getSettings(studentLesson())).toEqual(defaults);
+    expect(defaults).toMatchObject({ flipCardViews: 2, minDifficulty: 1, maxDifficulty: 3, hints: true });
+    expect(LessonContent.getSettings(studentLesson({ settings: { hints: false } })).hints).toBe(false);
+    expect(LessonContent.getSettings(studentLesson({ settings: { hints: 'no' } })).hints).toBe(true);
+    expect(LessonContent.getSettings(studentLesson({ settings: { flipCardViews: 0 } })).flipCardViews).toBe(0);
+    expect(LessonContent.getSettings(studentLesson({ settings: { flipCardViews: 9 } })).flipCardViews).toBe(LESSON_SETTINGS.flipCardViews.max);
+    expect(LessonContent.getSettings(studentLesson({ settings: { flipCardViews: '1' } })).flipCardViews).toBe(LESSON_SETTINGS.flipCardViews.default);
+    expect(LessonContent.getSettings(studentLesson({ settings: { maxDifficulty: 0 } })).maxDifficulty).toBe(LESSON_SETTINGS.maxDifficulty.min);
+    expect(LessonContent.getSettings(null)).toEqual(defaults);
+  });
+});
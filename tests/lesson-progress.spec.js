@@ -0,0 +1,157 @@
+const { test, expect } = require('@playwright/test');
+const { LessonProgress, DAY_STATUSES, LESSON_FILTERS, LESSON_SORTS } = require('../src/js/lesson-progress.js');
+const { LessonScheduler } = require('../src/js/scheduler.js');
+const { SpacedRepetition } = require('../src/js/spaced-repetition.js');
+
+const words = [
+  { word: 'Elephant', activities: ['vocabulary', 'phonics'] },
+  { word: 'butterfly', activities: ['spelling'] },
+  { word: 'penguin', activities: [] }
+];
+
+const studentLesson = (overrides = {}) => ({
+  id: 'lesson-abc',
+  words,
+  schedule: {
+    dayCount: 3,
+    days: LessonScheduler.buildDays([['Elephant'], ['butterfly', 'penguin'], []])
+  },
+  currentDay: 1,
+  completedDays: 0,
+  dayProgress: [
+    { day: 1, status: 'current' },
+    { day: 2, status: 'locked' },
+    { day: 3, status: 'locked' }
+  ],
+  ...overrides
+});
+
+const activity = (id, type) => ({ word: { id }, type });
+const dayOneActivities = [activity('elephant', 'vocabulary'), activity('elephant', 'phonics')];
+
+test.describe('Lesson Progress', () => {
+
+  test('resumes at the first activity that was neither completed nor skipped', () => {
+    const activities = [...dayOneActivities, activity('butterfly', 'spelling')];
+
+    expect(LessonProgress.findResumeIndex(activities, {})).toBe(0);
+    expect(LessonProgress.findResumeIndex(activities, { elephant_vocabulary: { completed: true } })).toBe(1);
+    expect(LessonProgress.findResumeIndex(activities, {
+      elephant_vocabulary: { completed: true },
+      elephant_phonics: { completed: false, skipped: true }
+    })).toBe(2);
+  });
+
+  test('keeps a same-session retry apart from the missed run it repeats', () => {
+    const missed = activity('elephant', 'spelling');
+    const [retry] = SpacedRepetition.insertRetry([missed], 0).slice(1);
+    const progress = {
+      [LessonProgress.getActivityKey(missed)]: { completed: true, correct: false, tries: 3 },
+      [LessonProgress.getActivityKey(retry)]: { completed: true, tries: 1 }
+    };
+
+    expect(LessonProgress.getActivityKey(retry)).toBe('elephant_spelling_retry-1');
+    expect(progress.elephant_spelling).toMatchObject({ correct: false, tries: 3 });
+    expect(LessonProgress.isDayComplete([missed, retry], progress)).toBe(true);
+  });
+
+  test('replays a finished day from the start', () => {
+    const progress = { elephant_vocabulary: { completed: true }, elephant_phonics: { skipped: true } };
+
+    expect(LessonProgress.isDayComplete(dayOneActivities, progress)).toBe(true);
+    expect(LessonProgress.isDayComplete(dayOneActivities, { elephant_vocabulary: { completed: true } })).toBe(false);
+    expect(LessonProgress.findResumeIndex(dayOneActivities, progress)).toBe(0);
+  });
+
+  test('completing a day unlocks the next one and moves the current day on', () => {
+    const lesson = LessonProgress.completeDay(studentLesson(), 1);
+
+    expect(lesson.dayProgress.map(day => day.status)).toEqual([DAY_STATUSES.completed, DAY_STATUSES.current, DAY_STATUSES.locked]);
+    expect(lesson).toMatchObject({ currentDay: 2, completedDays: 1 });
+
+    const finished = LessonProgress.completeDay(LessonProgress.completeDay(lesson, 2), 3);
+    expect(finished.dayProgress.every(day => day.status === DAY_STATUSES.completed)).toBe(true);
+    expect(finished).toMatchObject({ currentDay: 3, completedDays: 3 });
+  });
+
+  test('fills in day entries missing from older lesson records', () => {
+    const lesson = LessonProgress.completeDay(studentLesson({ dayProgress: undefined }), 1);
+
+    expect(lesson.dayProgress).toEqual([
+      { day: 1, status: DAY_STATUSES.completed },
+      { day: 2, status: DAY_STATUSES.current },
+      { day: 3, status: DAY_STATUSES.locked }
+    ]);
+  });
+
+  test('counts a word once all its activities on its first day were completed', () => {
+    const progressByDay = {
+      1: { elephant_vocabulary: { completed: true }, elephant_phonics: { completed: true } },
+      2: { butterfly_spelling: { completed: false, skipped: true }, penguin_vocabulary: { completed: true } }
+    };
+    const getDayProgress = day => progressByDay[day] || {};
+
+    expect(LessonProgress.countCompletedWords(studentLesson(), getDayProgress)).toBe(2);
+    expect(LessonProgress.withCompletedWords(studentLesson(), () => ({})).completedWords).toBe(0);
+    expect(LessonProgress.countCompletedWords({ id: 'sample' }, getDayProgress)).toBe(0);
+  });
+
+  test('summarizes day states and word progress for the dashboard card', () => {
+    const progressByDay = { 1: { elephant_vocabulary: { completed: true }, elephant_phonics: { completed: true } } };
+    const lesson = LessonProgress.completeDay(studentLesson(), 1);
+    const summary = LessonProgress.summarize(lesson, day => progressByDay[day] || {});
+
+    expect(summary.days.map(day => day.status)).toEqual([DAY_STATUSES.completed, DAY_STATUSES.current, DAY_STATUSES.locked]);
+    expect(summary).toMatchObject({ currentDay: 2, completedDays: 1, completedWords: 1, totalWords: 3, percent: 33, started: true });
+  });
+
+  test('shows unlocked days past the current one as available', () => {
+    const lesson = studentLesson({
+      dayProgress: [
+        { day: 1, status: 'completed' },
+        { day: 2, status: 'current' },
+        { day: 3, status: 'current' }
+      ]
+    });
+    const summary = LessonProgress.summarize(lesson, () => ({}));
+
+    expect(summary.days.map(day => day.status)).toEqual([DAY_STATUSES.completed, DAY_STATUSES.current, DAY_STATUSES.available]);
+    expect(summary.currentDay).toBe(2);
+  });
+
+  test('a lesson is started once any activity was done, and lands on the last day when finished', () => {
+    const fresh = LessonProgress.summarize(studentLesson(), () => ({}));
+    expect(fresh).toMatchObject({ currentDay: 1, started: false, percent: 0 });
+
+    const midDay = LessonProgress.summarize(studentLesson(), day => (day === 1 ? { elephant_vocabulary: { skipped: true } } : {}));
+    expect(midDay.started).toBe(true);
+
+    const lesson = [1, 2, 3].reduce((current, day) => LessonProgress.completeDay(current, day), studentLesson());
+    expect(LessonProgress.summarize(lesson, () => ({})).currentDay).toBe(3);
+  });
+
+  test('resetting puts the lesson back on its first day', () => {
+    const finished = [1, 2, 3].reduce((current, day) => LessonProgress.completeDay(current, day), studentLesson({ completedWords: 2 }));
+    const lesson = LessonProgress.reset(finished);
+
+    expect(lesson.dayProgress.map(day => day.status)).toEqual([DAY_STATUSES.current, DAY_STATUSES.locked, DAY_STATUSES.locked]);
+    expect(lesson).toMatchObject({ id: 'lesson-abc', currentDay: 1, completedDays: 0, completedWords: 0 });
+  });
+
+  test('filters lessons by progress, keeps archived ones apart and sorts them', () => {
+    const entry = (id, title, addedAt, summary, archivedAt) => ({ lesson: { id, title, addedAt, archivedAt }, summary });
+    const entries = [
+      entry('new', 'Birds', '2026-03-01', { started: false, finished: false }),
+      entry('going', 'Animals', '2026-01-01', { started: true, finished: false }),
+      entry('done', 'Colours', '2026-02-01', { started: true, finished: true }),
+      entry('old', 'Zebras', '2025-12-01', { started: true, finished: false }, '2026-03-02')
+    ];
+    const ids = options => LessonProgress.arrange(entries, options).map(({ lesson }) => lesson.id);
+
+    expect(ids()).toEqual(['new', 'done', 'going']);
+    expect(ids({ filter: LESSON_FILTERS.inProgress })).toEqual(['going']);
+    expect(ids({ filter: LESSON_FILTERS.completed })).toEqual(['done']);
+    expect(ids({ filter: LESSON_FILTERS.archived })).toEqual(['old']);
+    expect(ids({ sort: LESSON_SORTS.title })).toEqual(['going', 'new', 'done']);
+  });
+});
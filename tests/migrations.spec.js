@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { test, expect } = require('@playwright/test');
+const { TwibbleStorage } = require('../src/js/storage.js');
+const { MigrationRunner } = require('../src/js/migrations.js');
+const { createMemoryBackend } = require('./helpers/memory-storage.js');
+
+function createRunner(initial, migrations) {
+  const backend = createMemoryBackend(initial);
+  const storage = new TwibbleStorage({ backend });
+  const runner = new MigrationRunner(migrations ? { storage, migrations } : { storage });
+  return { backend, storage, runner };
+}
+
+// Load the classic scripts into one shared global scope, the way the pages include them
+function loadInBrowserScope(initial) {
+  const backend = createMemoryBackend(initial);
+  const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, localStorage: backend });
+  context.window = context;
+  ['storage.js', 'migrations.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '../src/js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  return { backend, window: context };
+}
+
+const LEGACY_DATA = {
+  userSettings: JSON.stringify({ name: 'Ana', avatar: 'a.svg' }),
+  currentRole: 'student',
+  lessonDraft: JSON.stringify({ id: 'draft-1', timestamp: '2025-01-01T00:00:00.000Z', words: ['cat'], groups: {} }),
+  lesson_abc_day_2: JSON.stringify({ vocabulary: true }),
+  unrelatedKey: 'left alone'
+};
+
+test.describe('Schema Migrations', () => {
+
+  test('moves legacy keys into versioned, namespaced records', () => {
+    const { backend, storage, runner } = createRunner(LEGACY_DATA);
+
+    const report = runner.run();
+
+    expect(report.error).toBeNull();
+    expect(report.fromVersion).toBe(0);
+    expect(report.toVersion).toBe(2);
+    expect(storage.getSchemaVersion()).toBe(2);
+    expect(backend.data.has('userSettings')).toBe(false);
+    expect(backend.data.has('lesson_abc_day_2')).toBe(false);
+    expect(backend.data.get('unrelatedKey')).toBe('left alone');
+    expect(JSON.parse(backend.data.get('twibble:progress:abc:day-2'))).toEqual({
+      schemaVersion: 1,
+      data: { vocabulary: true }
+    });
+    expect(storage.getCurrentRole()).toBe('student');
+    expect(storage.getLessonDraft('draft-1').words).toEqual(['cat']);
+  });
+
+  test('folds the single lesson draft into the keyed draft collection', () => {
+    const { backend, storage, runner } = createRunner({
+      'twibble:meta:schema-version': '1',
+      'twibble:drafts:current': JSON.stringify({ schemaVersion: 1, data: { timestamp: 1735689600000, words: [], groups: [] } }),
+      'twibble:drafts:current-id': JSON.stringify({ schemaVersion: 1, data: 'lesson-123' })
+    });
+
+    runner.run();
+
+    expect(backend.data.has('twibble:drafts:current')).toBe(false);
+    expect(backend.data.has('twibble:drafts:current-id')).toBe(false);
+    expect(storage.getLessonDraft('lesson-123')).toEqual({
+      title: '',
+      words: [],
+      groups: [],
+      id: 'lesson-123',
+      status: 'draft',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('dry run reports changes without writing anything', () => {
+    const { backend, storage, runner } = createRunner(LEGACY_DATA);
+    const before = new Map(backend.data);
+
+    const report = runner.run({ dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.toVersion).toBe(2);
+    expect(report.steps[0].changes).toContainEqual({ key: 'userSettings', action: 'delete' });
+    expect(report.steps[0].changes).toContainEqual({ key: 'twibble:profile:settings', action: 'create' });
+    expect(backend.data).toEqual(before);
+    expect(storage.getSchemaVersion()).toBe(0);
+  });
+
+  test('takes a backup before each migration and can restore it', () => {
+    const { backend, runner } = createRunner(LEGACY_DATA);
+
+    runner.run();
+
+    const backups = runner.listBackups();
+    expect(backups).toHaveLength(2);
+    expect(backups[0].fromVersion).toBe(0);
+    expect(backups[1].fromVersion).toBe(1);
+    expect(backups[0].records.userSettings).toBe(LEGACY_DATA.userSettings);
+
+    runner.restoreBackup(0);
+    expect(backend.data.get('userSettings')).toBe(LEGACY_DATA.userSettings);
+    expect(backend.data.has('twibble:profile:settings')).toBe(false);
+  });
+
+  test('does nothing once data is at the current version', () => {
+    const { runner } = createRunner(LEGACY_DATA);
+
+    runner.run();
+    const secondRun = runner.run();
+
+    expect(secondRun.steps).toHaveLength(0);
+    expect(secondRun.fromVersion).toBe(2);
+  });
+
+  test('a failing migration leaves stored data untouched', () => {
+    const migrations = [
+      { version: 1, description: 'Adds a key', migrate: (records) => records.set('twibble:extra', '1') },
+      { version: 2, description: 'Breaks', migrate: () => { throw new Error('boom'); } }
+    ];
+    const { backend, storage, runner } = createRunner({ 'twibble:profile:settings': '{}' }, migrations);
+
+    const report = runner.run();
+
+    expect(report.toVersion).toBe(1);
+    expect(report.error).toContain('boom');
+    expect(storage.getSchemaVersion()).toBe(1);
+    expect(backend.data.get('twibble:extra')).toBe('1');
+  });
+
+  test('runs over legacy keys with the scripts sharing the browser global scope', () => {
+    const { backend, window } = loadInBrowserScope(LEGACY_DATA);
+
+    const report = window.twibbleMigrations.run();
+
+    expect(report.error).toBeNull();
+    expect(report.toVersion).toBe(2);
+    expect(window.twibbleStorage.getSchemaVersion()).toBe(2);
+    expect(window.twibbleMigrations.listBackups()).toHaveLength(2);
+    expect(backend.data.has('userSettings')).toBe(false);
+  });
+});
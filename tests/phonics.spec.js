@@ -0,0 +1,35 @@
+const { test, expect } = require('@playwright/test');
+const { PhonicsEngine, PHONICS_SOURCES } = require('../src/js/phonics.js');
+const corpus = require('./data/phonics-corpus.json');
+
+test.describe('Phonics Engine', () => {
+
+  test('keeps inventory chunks together in one-syllable words', () => {
+    Object.entries(corpus.chunks).forEach(([word, chunks]) => {
+      expect(PhonicsEngine.split(word).chunks.join('-'), word).toBe(chunks);
+    });
+  });
+
+  Object.entries(corpus.syllables).forEach(([rule, words]) => {
+    test(`splits syllables by the ${rule} rule`, () => {
+      Object.entries(words).forEach(([word, syllables]) => {
+        expect(PhonicsEngine.split(word).syllables.join('-'), word).toBe(syllables);
+      });
+    });
+  });
+
+  test('prefers the teacher override, then the dictionary, then the rules', () => {
+    expect(PhonicsEngine.getChunks('Elephant', { override: ['el', 'e', 'phant'], dictionary: ['e', 'le', 'phant'] }))
+      .toEqual({ chunks: ['el', 'e', 'phant'], source: PHONICS_SOURCES.override });
+    expect(PhonicsEngine.getChunks('elephant', { override: ['ele', 'fant'], dictionary: ['el', 'e', 'phant'] }))
+      .toEqual({ chunks: ['el', 'e', 'phant'], source: PHONICS_SOURCES.dictionary });
+    expect(PhonicsEngine.getChunks('rocket'))
+      .toEqual({ chunks: ['rock', 'et'], source: PHONICS_SOURCES.rules });
+  });
+
+  test('accepts overrides only when the chunks spell the word', () => {
+    expect(PhonicsEngine.parseOverride('Penguin', 'Pen - guin')).toEqual({ valid: true, chunks: ['pen', 'guin'], error: null });
+    expect(PhonicsEngine.parseOverride('penguin', 'pen-gin').error).toBe('The chunks must spell "penguin" exactly');
+    expect(PhonicsEngine.parseOverride('penguin', '  ').valid).toBe(false);
+  });
+});
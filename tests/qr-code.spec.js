@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { QRCode } = require('../src/js/qr-code.js');
+
+const SHARE_URL = 'https://twibble.app/src/pages/student-dashboard.html?addLesson=3f2a1b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b';
+
+// Format bits as stored around the top-left finder pattern
+function readFormatBits(qr) {
+  const positions = [
+    [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8],
+    [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]
+  ];
+  return positions.reduce((bits, [x, y], i) => bits | (qr.isDark(x, y) ? 1 << i : 0), 0);
+}
+
+test.describe('QR Code Encoder', () => {
+
+  test('computes Reed-Solomon codewords for the reference HELLO WORLD symbol', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    const ecc = QRCode.getReedSolomonRemainder(data, QRCode.getReedSolomonDivisor(10));
+
+    expect(ecc).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  test('picks the smallest version that fits the byte-mode data', () => {
+    expect(QRCode.encode('a'.repeat(17), { errorCorrection: 'L' }).version).toBe(1);
+    expect(QRCode.encode('a'.repeat(18), { errorCorrection: 'L' }).version).toBe(2);
+    expect(QRCode.encode(SHARE_URL, { errorCorrection: 'H' }).version).toBeGreaterThan(
+      QRCode.encode(SHARE_URL, { errorCorrection: 'L' }).version
+    );
+    expect(QRCode.encode('a'.repeat(2953), { errorCorrection: 'L' }).version).toBe(40);
+    expect(() => QRCode.encode('a'.repeat(2954), { errorCorrection: 'L' })).toThrow('too long');
+    expect(() => QRCode.encode('a', { errorCorrection: 'X' })).toThrow('Unknown error correction level');
+  });
+
+  test('writes finder patterns and the format information for the chosen mask', () => {
+    for (const level of ['L', 'M', 'Q', 'H']) {
+      const qr = QRCode.encode(SHARE_URL, { errorCorrection: level });
+
+      expect(qr.size).toBe(qr.version * 4 + 17);
+      expect(readFormatBits(qr)).toBe(QRCode.getFormatBits(level, qr.mask));
+      for (const [x, y] of [[0, 0], [qr.size - 7, 0], [0, qr.size - 7]]) {
+        expect(qr.isDark(x, y) && qr.isDark(x + 3, y + 3) && !qr.isDark(x + 1, y + 1)).toBe(true);
+      }
+    }
+
+    expect(QRCode.getFormatBits('M', 0)).toBe(0x5412);
+    expect(QRCode.getFormatBits('L', 0)).toBe(0x77C4);
+  });
+
+  test('places alignment patterns at the standard positions', () => {
+    expect(QRCode.getAlignmentPatternPositions(1)).toEqual([]);
+    expect(QRCode.getAlignmentPatternPositions(7)).toEqual([6, 22, 38]);
+    expect(QRCode.getAlignmentPatternPositions(32)).toEqual([6, 34, 60, 86, 112, 138]);
+    expect(QRCode.getAlignmentPatternPositions(40)).toEqual([6, 30, 58, 86, 114, 142, 170]);
+  });
+});
@@ -0,0 +1,82 @@
+const { test, expect } = require('@playwright/test');
+const { LessonScheduler } = require('../src/js/scheduler.js');
+
+const words = (count) => Array.from({ length: count }, (_, i) => ({ word: `word${i + 1}`, activities: ['vocabulary'] }));
+
+test.describe('Lesson Scheduler', () => {
+
+  test('front-loads about 40% of the words on Day 1 and decays after', () => {
+    expect(LessonScheduler.distributeCounts(20, 5)).toEqual([8, 5, 4, 3, 0]);
+    expect(LessonScheduler.distributeCounts(50, 10)).toEqual([20, 8, 6, 4, 3, 3, 2, 2, 2, 0]);
+  });
+
+  test('keeps the last day review-only and handles short lessons', () => {
+    expect(LessonScheduler.distributeCounts(7, 1)).toEqual([7]);
+    expect(LessonScheduler.distributeCounts(5, 2)).toEqual([5, 0]);
+    expect(LessonScheduler.distributeCounts(3, 10)).toEqual([1, 1, 1, 0, 0, 0, 0, 0, 0, 0]);
+    expect(LessonScheduler.distributeCounts(0, 3)).toEqual([0, 0, 0]);
+  });
+
+  test('clamps the day count to 1-10', () => {
+    expect(LessonScheduler.clampDayCount(0)).toBe(1);
+    expect(LessonScheduler.clampDayCount(14)).toBe(10);
+    expect(LessonScheduler.clampDayCount('7')).toBe(7);
+  });
+
+  test('reviews every word on each day after it is introduced', () => {
+    const schedule = LessonScheduler.createSchedule(words(10), 3);
+
+    expect(schedule.dayCount).toBe(3);
+    expect(schedule.days[0].newWords).toEqual(['word1', 'word2', 'word3', 'word4']);
+    expect(schedule.days[0].reviewWords).toEqual([]);
+    expect(schedule.days[1].reviewWords).toEqual(['word1', 'word2', 'word3', 'word4']);
+    expect(schedule.days[2].newWords).toEqual([]);
+    expect(schedule.days[2].reviewOnly).toBe(true);
+    expect(schedule.days[2].reviewWords).toHaveLength(10);
+    expect(LessonScheduler.validateSchedule(schedule, words(10))).toEqual({ valid: true, errors: [] });
+  });
+
+  test('schedules duplicate words once', () => {
+    const schedule = LessonScheduler.createSchedule([...words(3), { word: 'Word1' }, 'word2'], 2);
+
+    expect(schedule.days[0].newWords).toEqual(['word1', 'word2', 'word3']);
+    expect(LessonScheduler.matchesWords(schedule, words(3))).toBe(true);
+    expect(LessonScheduler.matchesWords(schedule, words(4))).toBe(false);
+  });
+
+  test('rejects reviews before introduction and new words on the review day', () => {
+    const schedule = LessonScheduler.createSchedule(words(6), 3);
+    schedule.days[0].reviewWords = ['word6'];
+    schedule.days[2].newWords = ['extra'];
+
+    const result = LessonScheduler.validateSchedule(schedule, [...words(6), { word: 'missing' }]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('"word6" is reviewed on Day 1 before it is introduced');
+    expect(result.errors).toContain('Day 3 is review-only and cannot introduce new words');
+    expect(result.errors).toContain('"missing" is not scheduled on any day');
+  });
+
+  test('moves a word to another day and rebuilds its reviews', () => {
+    const schedule = LessonScheduler.createSchedule(words(10), 3);
+
+    const moved = LessonScheduler.moveWord(schedule, 'WORD2', 2);
+
+    expect(moved.days[0].newWords).toEqual(['word1', 'word3', 'word4']);
+    expect(moved.days[1].newWords).toEqual(['word5', 'word6', 'word7', 'word8', 'word9', 'word10', 'word2']);
+    expect(moved.days[1].reviewWords).not.toContain('word2');
+    expect(LessonScheduler.validateSchedule(moved, words(10)).valid).toBe(true);
+    expect(LessonScheduler.moveWord(schedule, 'word2', 1)).toBeNull();
+    expect(LessonScheduler.moveWord(schedule, 'unknown', 2)).toBeNull();
+  });
+
+  test('flags moves onto the review day or that leave a day empty', () => {
+    const schedule = LessonScheduler.createSchedule(words(3), 3);
+
+    const ontoReviewDay = LessonScheduler.validateSchedule(LessonScheduler.moveWord(schedule, 'word3', 3), words(3));
+    const emptiesDayOne = LessonScheduler.validateSchedule(LessonScheduler.moveWord(schedule, 'word1', 2), words(3));
+
+    expect(ontoReviewDay.errors).toContain('Day 3 is review-only and cannot introduce new words');
+    expect(emptiesDayOne.errors).toContain('Day 1 has no words to learn or review');
+  });
+});
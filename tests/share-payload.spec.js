@@ -0,0 +1,96 @@
+const { test, expect } = require('@playwright/test');
+const { SharePayload, SHARE_CONFIG } = require('../src/js/share-payload.js');
+const { LessonScheduler } = require('../src/js/scheduler.js');
+
+function createLesson(wordCount = 8) {
+  const words = Array.from({ length: wordCount }, (_, i) => ({
+    word: `word${i + 1}`,
+    activities: i % 2 ? ['vocabulary', 'spelling'] : ['phonics']
+  }));
+  words[0].definition = 'The first word';
+  Object.assign(words[1], {
+    partOfSpeech: 'noun',
+    difficulty: 'easy',
+    imageUrl: 'https://example.com/images/word2.png',
+    audioUrl: 'https://example.com/audio/word2.mp3'
+  });
+
+  return {
+    id: '3f2a1b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b',
+    title: 'Farm Animals',
+    publishedAt: '2025-03-01T10:00:00.000Z',
+    words,
+    schedule: LessonScheduler.createSchedule(words, 3)
+  };
+}
+
+test.describe('Share Payloads', () => {
+
+  test('round-trips words, their details and the schedule through a URL-safe payload', async () => {
+    const lesson = createLesson();
+
+    const payload = await SharePayload.encode(lesson, { creator: 'Ms. Anderson' });
+    const decoded = await SharePayload.decode(payload);
+
+    expect(payload).toMatch(/^[A-Za-z0-9_.-]+$/);
+    expect(decoded.id).toBe(lesson.id);
+    expect(decoded.title).toBe('Farm Animals');
+    expect(decoded.creator).toBe('Ms. Anderson');
+    expect(decoded.words).toEqual(lesson.words);
+    expect(decoded.schedule.days).toEqual(lesson.schedule.days);
+  });
+
+  test('carries lesson settings and drops unknown ones', async () => {
+    const lesson = { ...createLesson(), settings: { flipCardViews: 0, minDifficulty: 2, maxDifficulty: 2, hints: false, somethingElse: true } };
+
+    const decoded = await SharePayload.decode(await SharePayload.encode(lesson));
+
+    expect(decoded.settings).toEqual({ flipCardViews: 0, minDifficulty: 2, maxDifficulty: 2, hints: false });
+    expect((await SharePayload.decode(await SharePayload.encode(createLesson()))).settings).toEqual({});
+  });
+
+  test('reads the payload back from a share URL fragment', async () => {
+    const payload = await SharePayload.encode(createLesson());
+
+    const url = new URL(SharePayload.buildShareUrl('https://twibble.app/src/pages/teacher-dashboard.html', 'abc', payload));
+
+    expect(url.pathname).toBe('/src/pages/student-dashboard.html');
+    expect(url.searchParams.get('addLesson')).toBe('abc');
+    expect(SharePayload.readFragment(url.hash)).toBe(payload);
+  });
+
+  test('reports truncated and damaged payloads', async () => {
+    const payload = await SharePayload.encode(createLesson());
+    const data = payload.split('.').pop();
+    const damaged = payload.slice(0, -data.length) + (data[0] === 'A' ? 'B' : 'A') + data.slice(1);
+
+    await expect(SharePayload.decode(payload.slice(0, -5))).rejects.toMatchObject({ code: 'truncated' });
+    await expect(SharePayload.decode(payload.slice(0, 6))).rejects.toMatchObject({ code: 'truncated' });
+    await expect(SharePayload.decode(damaged)).rejects.toMatchObject({ code: 'corrupt' });
+    await expect(SharePayload.decode('9.z.1.00000000.A')).rejects.toMatchObject({ code: 'unsupported' });
+    await expect(SharePayload.decode('')).rejects.toMatchObject({ code: 'missing' });
+  });
+
+  test('refuses lessons that do not fit in a share link', async () => {
+    // Pseudo-random text so compression cannot shrink it below the limit
+    let seed = 7;
+    const randomLetter = () => String.fromCharCode(97 + (seed = (seed * 48271) % 2147483647) % 26);
+    const lesson = createLesson(10);
+    lesson.words.forEach(entry => {
+      entry.definition = Array.from({ length: 400 }, randomLetter).join('');
+    });
+
+    await expect(SharePayload.encode(lesson)).rejects.toMatchObject({ code: 'too-large' });
+    await expect(SharePayload.decode('x'.repeat(SHARE_CONFIG.maxPayloadLength + 1))).rejects.toMatchObject({ code: 'too-large' });
+  });
+
+  test('checks the whole share URL, not just the payload, against the QR code limit', () => {
+    const payload = 'x'.repeat(SHARE_CONFIG.maxPayloadLength);
+    const longPath = `https://school.example.org/${'classes/'.repeat(20)}teacher-dashboard.html`;
+
+    const url = SharePayload.buildShareUrl('https://twibble.app/src/pages/teacher-dashboard.html', 'abc', payload);
+
+    expect(url.length).toBeLessThanOrEqual(SHARE_CONFIG.maxUrlLength);
+    expect(() => SharePayload.buildShareUrl(longPath, 'abc', payload)).toThrow(expect.objectContaining({ code: 'too-large' }));
+  });
+});
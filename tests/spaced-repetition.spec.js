@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const { SpacedRepetition, SPACED_REPETITION_CONFIG } = require('../src/js/spaced-repetition.js');
+const { LessonContent } = require('../src/js/lesson-content.js');
+const { LessonScheduler } = require('../src/js/scheduler.js');
+
+const DAY = SPACED_REPETITION_CONFIG.dayMs;
+
+// Simulated clock: reviews happen exactly when each word comes due
+function reviewOnSchedule(grades, start = 0) {
+  let record = null;
+  let now = start;
+  const intervals = [];
+  grades.forEach(grade => {
+    record = SpacedRepetition.review(record, grade, now);
+    intervals.push(record.interval);
+    now = record.due;
+  });
+  return { record, intervals };
+}
+
+const word = id => ({ id, word: id });
+
+test.describe('Spaced Repetition', () => {
+
+  test('grades outcomes by tries, with misses and skips below the pass grade', () => {
+    expect(SpacedRepetition.gradeOutcome({ completed: true, tries: 1 })).toBe(5);
+    expect(SpacedRepetition.gradeOutcome({ completed: true, tries: 2 })).toBe(4);
+    expect(SpacedRepetition.gradeOutcome({ completed: true, tries: 7 })).toBe(3);
+    expect(SpacedRepetition.gradeOutcome({ completed: true, correct: false, tries: 1 })).toBe(1);
+    expect(SpacedRepetition.gradeOutcome({ completed: false, skipped: true })).toBe(1);
+    expect(SpacedRepetition.isMiss(SpacedRepetition.gradeOutcome({ skipped: true }))).toBe(true);
+    // Hints take their cost off the grade
+    expect(SpacedRepetition.gradeOutcome({ completed: true, tries: 1, credit: 0.75 })).toBe(4);
+    expect(SpacedRepetition.isMiss(SpacedRepetition.gradeOutcome({ completed: true, tries: 3, credit: 0.6 }))).toBe(true);
+  });
+
+  test('grows intervals 1, 6 and then by ease while the student keeps remembering', () => {
+    const { record, intervals } = reviewOnSchedule([5, 5, 5, 4]);
+
+    expect(intervals.slice(0, 2)).toEqual([1, 6]);
+    expect(intervals[2]).toBe(Math.round(6 * 2.8));
+    expect(intervals[3]).toBeGreaterThan(intervals[2]);
+    expect(record.reps).toBe(4);
+  });
+
+  test('a miss resets the interval, lowers ease and makes the word due now', () => {
+    const { record: learned } = reviewOnSchedule([5, 5]);
+    const now = learned.due + 2 * DAY;
+    const missed = SpacedRepetition.review(learned, 1, now);
+
+    expect(missed).toMatchObject({ interval: 0, reps: 0, lapses: 1, due: now });
+    expect(missed.ease).toBeLessThan(learned.ease);
+    expect(SpacedRepetition.isDue(missed, now)).toBe(true);
+    expect(SpacedRepetition.review(missed, 5, now).interval).toBe(1);
+  });
+
+  test('never lets ease fall below the SM-2 floor', () => {
+    const { record } = reviewOnSchedule([1, 1, 1, 1, 1, 1, 1, 1]);
+    expect(record.ease).toBe(SPACED_REPETITION_CONFIG.minEase);
+  });
+
+  test('orders the review queue weakest word first', () => {
+    const memory = {
+      cat: { ease: 2.6, lapses: 0, due: 5 * DAY },
+      dog: { ease: 1.8, lapses: 2, due: 3 * DAY },
+      owl: { ease: 1.8, lapses: 3, due: 4 * DAY },
+      bee: { ease: 2.6, lapses: 0, due: 1 * DAY }
+    };
+
+    const ordered = SpacedRepetition.orderReviewWords(['cat', 'new1', 'dog', 'bee', 'owl', 'new2'].map(word), memory);
+    expect(ordered.map(entry => entry.id)).toEqual(['owl', 'dog', 'new1', 'new2', 'bee', 'cat']);
+  });
+
+  test('a word due from an earlier day is in the day\'s reviews and comes first', () => {
+    const words = ['cat', 'dog', 'owl', 'bee'].map(entry => ({ word: entry, activities: ['vocabulary'] }));
+    const lesson = { words, schedule: { days: LessonScheduler.buildDays([['cat', 'dog'], ['owl'], ['bee']]) } };
+    const now = 10 * DAY;
+    const memory = {
+      cat: SpacedRepetition.introduce(9.5 * DAY),
+      dog: SpacedRepetition.review(SpacedRepetition.introduce(0), 1, 8 * DAY),
+      owl: SpacedRepetition.introduce(9.5 * DAY)
+    };
+
+    const reviews = LessonContent.buildDayWords(lesson, 3).filter(entry => entry.status === 'review');
+    expect(SpacedRepetition.isDue(memory.dog, now)).toBe(true);
+    expect(SpacedRepetition.orderReviewWords(reviews, memory).map(entry => entry.id)).toEqual(['dog', 'cat', 'owl']);
+  });
+
+  test('brings a missed activity back later in the same session, once', () => {
+    const activities = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ word: word(id), type: 'spelling' }));
+
+    const withRetry = SpacedRepetition.insertRetry(activities, 1);
+    expect(withRetry.map(activity => activity.word.id)).toEqual(['a', 'b', 'c', 'd', 'e', 'b', 'f']);
+    expect(withRetry[5].retries).toBe(1);
+    expect(SpacedRepetition.insertRetry(withRetry, 5)).toBe(withRetry);
+
+    const nearEnd = SpacedRepetition.insertRetry(activities, 5);
+    expect(nearEnd.map(activity => activity.word.id)).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'f']);
+  });
+});
@@ -0,0 +1,112 @@
+const { test, expect } = require('@playwright/test');
+const { SpeechService, SPEECH_CONFIG, SPEECH_ERRORS } = require('../src/js/speech.js');
+
+const voice = (name, lang, extra = {}) => ({ name, lang, localService: false, default: false, ...extra });
+
+// Minimal speechSynthesis stand-in that finishes every utterance straight away
+function createFakeSynth(voices) {
+  const synth = {
+    spoken: [],
+    speaking: false,
+    pending: false,
+    cancelled: 0,
+    getVoices: () => voices,
+    speak: utterance => {
+      synth.spoken.push(utterance);
+      setTimeout(() => utterance.onend(), 0);
+    },
+    cancel: () => {
+      synth.cancelled++;
+    }
+  };
+  return synth;
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+test.describe('SpeechService', () => {
+
+  test('picks an English voice, preferring exact language, known names and on-device voices', () => {
+    const voices = [
+      voice('Thomas', 'fr-FR'),
+      voice('Daniel', 'en-GB', { localService: true }),
+      voice('Google US English', 'en-US'),
+      voice('Alex', 'en-US', { localService: true })
+    ];
+
+    expect(SpeechService.pickVoice(voices).name).toBe('Google US English');
+    expect(SpeechService.pickVoice(voices.filter(v => v.name !== 'Google US English')).name).toBe('Alex');
+    expect(SpeechService.pickVoice(voices, { voiceName: 'Daniel' }).name).toBe('Daniel');
+    expect(SpeechService.pickVoice([voice('Thomas', 'fr-FR')])).toBeNull();
+  });
+
+  test('keeps the speaking rate within the range for young students', () => {
+    const speech = new SpeechService({ synth: null });
+
+    expect(speech.rate).toBe(SPEECH_CONFIG.defaultRate);
+    expect(speech.setRate(3)).toBe(SPEECH_CONFIG.maxRate);
+    expect(speech.setRate(0.1)).toBe(SPEECH_CONFIG.minRate);
+    expect(speech.setRate('fast')).toBe(SPEECH_CONFIG.defaultRate);
+  });
+
+  test('reports when speech is unsupported or no voice exists', async () => {
+    const unsupported = new SpeechService({ synth: null });
+    expect(await unsupported.speakWord('cat')).toEqual({ ok: false, ...SPEECH_ERRORS.unsupported });
+
+    const noVoice = new SpeechService({ synth: createFakeSynth([voice('Thomas', 'fr-FR')]), Utterance: FakeUtterance });
+    expect(await noVoice.checkAvailability()).toEqual({ ok: false, ...SPEECH_ERRORS.noVoice });
+    expect(await noVoice.speak('cat')).toMatchObject({ ok: false, reason: 'no-voice' });
+  });
+
+  test('prefers bundled audio and falls back to speech when the file fails', async () => {
+    const synth = createFakeSynth([voice('Samantha', 'en-US')]);
+    const played = [];
+    const createAudio = url => {
+      const audio = {
+        pause: () => {},
+        play: () => {
+          played.push(url);
+          setTimeout(() => (url.includes('missing') ? audio.onerror() : audio.onended()), 0);
+          return Promise.resolve();
+        }
+      };
+      return audio;
+    };
+    const speech = new SpeechService({ synth, Utterance: FakeUtterance, createAudio });
+
+    expect(await speech.speakWord({ word: 'cat', audioUrl: 'audio/cat.mp3' })).toEqual({ ok: true, source: 'audio' });
+    expect(synth.spoken).toHaveLength(0);
+
+    expect(await speech.speakWord({ word: 'dog', audioUrl: 'audio/missing.mp3' })).toEqual({ ok: true, source: 'speech' });
+    expect(played).toEqual(['audio/cat.mp3', 'audio/missing.mp3']);
+    expect(synth.spoken.map(utterance => utterance.text)).toEqual(['dog']);
+    expect(synth.spoken[0].rate).toBe(SPEECH_CONFIG.defaultRate);
+  });
+
+  test('reads phonics chunks one by one at a slower rate', async () => {
+    const synth = createFakeSynth([voice('Samantha', 'en-US')]);
+    const speech = new SpeechService({ synth, Utterance: FakeUtterance });
+    const highlighted = [];
+
+    const result = await speech.speakChunks(['el', 'e', 'phant'], { pause: 0, onChunk: index => highlighted.push(index) });
+
+    expect(result.ok).toBe(true);
+    expect(highlighted).toEqual([0, 1, 2]);
+    expect(synth.spoken.map(utterance => utterance.text)).toEqual(['el', 'e', 'phant']);
+    synth.spoken.forEach(utterance => expect(utterance.rate).toBeLessThan(SPEECH_CONFIG.defaultRate));
+  });
+
+  test('stop ends a chunk sequence early', async () => {
+    const synth = createFakeSynth([voice('Samantha', 'en-US')]);
+    const speech = new SpeechService({ synth, Utterance: FakeUtterance });
+
+    const playing = speech.speakChunks(['but', 'ter', 'fly'], { pause: 0, onChunk: index => index === 0 && speech.stop() });
+
+    expect(await playing).toMatchObject({ ok: true, interrupted: true });
+    expect(synth.spoken).toHaveLength(1);
+  });
+});
@@ -0,0 +1,146 @@
+const { test, expect } = require('@playwright/test');
+const { TwibbleStorage, SCHEMA_VERSION } = require('../src/js/storage.js');
+const { createMemoryBackend } = require('./helpers/memory-storage.js');
+
+test.describe('Storage Service', () => {
+
+  test('namespaces keys for every record type', () => {
+    const backend = createMemoryBackend();
+    const storage = new TwibbleStorage({ backend });
+
+    storage.putUserSettings({ name: 'Ana', avatar: 'a.svg' });
+    storage.putCurrentRole('student');
+    storage.putStudentLesson({ id: 'lesson-1', name: 'Animals' });
+    storage.putLessonDraft({ id: 'draft-1', title: 'Draft' });
+    storage.putDayProgress('lesson-1', 2, { vocabulary: true });
+
+    expect([...backend.data.keys()].sort()).toEqual([
+      'twibble:drafts:lessons',
+      'twibble:lessons:student',
+      'twibble:profile:role',
+      'twibble:profile:settings',
+      'twibble:progress:lesson-1:day-2'
+    ]);
+    expect(storage.getDayProgress('lesson-1', 2)).toEqual({ vocabulary: true });
+  });
+
+  test('adopts values written under legacy keys', () => {
+    const backend = createMemoryBackend({
+      userSettings: JSON.stringify({ name: 'Ben', avatar: 'b.svg' }),
+      currentRole: 'teacher'
+    });
+    const storage = new TwibbleStorage({ backend });
+
+    expect(storage.getUserSettings()).toEqual({ name: 'Ben', avatar: 'b.svg' });
+    expect(storage.getCurrentRole()).toBe('teacher');
+    expect(backend.data.has('userSettings')).toBe(false);
+    expect(JSON.parse(backend.data.get('twibble:profile:role'))).toEqual({ schemaVersion: SCHEMA_VERSION, data: 'teacher' });
+  });
+
+  test('recovers from unreadable JSON and keeps a copy aside', () => {
+    const backend = createMemoryBackend({ 'twibble:lessons:student': '[{broken' });
+    const storage = new TwibbleStorage({ backend });
+
+    expect(storage.getStudentLessons()).toEqual([]);
+    expect(backend.data.has('twibble:lessons:student')).toBe(false);
+    expect(backend.data.get('twibble:corrupt:twibble:lessons:student')).toBe('[{broken');
+  });
+
+  test('stamps every record with the schema version', () => {
+    const backend = createMemoryBackend();
+    const storage = new TwibbleStorage({ backend });
+
+    storage.putStudentLessons([{ id: 'a' }]);
+
+    expect(JSON.parse(backend.data.get('twibble:lessons:student'))).toEqual({
+      schemaVersion: SCHEMA_VERSION,
+      data: [{ id: 'a' }]
+    });
+    expect(TwibbleStorage.parseRecord('{"title":"Old"}')).toEqual({ schemaVersion: 0, data: { title: 'Old' } });
+  });
+
+  test('rejects unknown roles and ignores invalid stored roles', () => {
+    const backend = createMemoryBackend({ 'twibble:profile:role': JSON.stringify({ schemaVersion: 1, data: 'admin' }) });
+    const storage = new TwibbleStorage({ backend });
+
+    expect(storage.getCurrentRole()).toBeNull();
+    expect(() => storage.putCurrentRole('admin')).toThrow('Unknown role');
+  });
+
+  test('upserts and deletes individual student lessons', () => {
+    const storage = new TwibbleStorage({ backend: createMemoryBackend() });
+
+    storage.putStudentLesson({ id: 'a', name: 'First' });
+    storage.putStudentLesson({ id: 'b', name: 'Second' });
+    storage.putStudentLesson({ id: 'a', name: 'First (updated)' });
+    storage.deleteStudentLesson('b');
+
+    expect(storage.getStudentLessons()).toEqual([{ id: 'a', name: 'First (updated)' }]);
+  });
+
+  test('clears every stored day of one lesson, including legacy copies', () => {
+    const backend = createMemoryBackend({ lesson_a_day_3: JSON.stringify({ vocabulary: true }) });
+    const storage = new TwibbleStorage({ backend });
+
+    storage.putDayProgress('a', 1, { vocabulary: true });
+    storage.putDayProgress('a', 12, { spelling: true });
+    storage.putDayProgress('ab', 1, { vocabulary: true });
+    storage.deleteLessonProgress('a');
+
+    expect([...backend.data.keys()]).toEqual(['twibble:progress:ab:day-1']);
+  });
+
+  test('keeps word memory as one map keyed by word id', () => {
+    const storage = new TwibbleStorage({ backend: createMemoryBackend({ 'twibble:memory:words': '[]' }) });
+
+    expect(storage.getWordMemory()).toEqual({});
+    storage.putWordMemory({ cat: { ease: 2.5, due: 0 } });
+    expect(storage.getWordMemory()).toEqual({ cat: { ease: 2.5, due: 0 } });
+  });
+
+  test('keeps any number of drafts keyed by id with timestamps and status', () => {
+    const storage = new TwibbleStorage({ backend: createMemoryBackend() });
+
+    const first = storage.putLessonDraft({ id: TwibbleStorage.generateId(), title: 'Animals' });
+    storage.putLessonDraft({ id: 'second', title: 'Colors', status: 'published' });
+    const updated = storage.putLessonDraft({ ...first, title: 'Farm Animals' });
+
+    expect(first.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(first.status).toBe('draft');
+    expect(updated.createdAt).toBe(first.createdAt);
+    expect(storage.listLessonDrafts()).toHaveLength(2);
+    expect(storage.listLessonDrafts('draft').map(draft => draft.title)).toEqual(['Farm Animals']);
+    expect(() => storage.putLessonDraft({ id: 'x', status: 'archived' })).toThrow('Unknown draft status');
+
+    storage.deleteLessonDraft('second');
+    expect(storage.getLessonDraft('second')).toBeNull();
+  });
+
+  test('publishing freezes a snapshot that later edits do not change', () => {
+    const storage = new TwibbleStorage({ backend: createMemoryBackend() });
+    const schedule = { dayCount: 1, days: [{ day: 1, newWords: ['cat'], reviewWords: [], reviewOnly: false }] };
+    storage.putLessonDraft({ id: 'lesson-1', title: 'Pets', words: [{ word: 'cat', group: 'vocabulary', activities: ['vocabulary'] }], schedule });
+
+    const published = storage.publishLessonDraft('lesson-1');
+    storage.putLessonDraft({ ...published, title: 'Pets (edited)', words: [] });
+
+    const stored = storage.getLessonDraft('lesson-1');
+    expect(stored.status).toBe('published');
+    expect(stored.snapshot).toEqual({
+      id: 'lesson-1',
+      title: 'Pets',
+      words: [{ word: 'cat', activities: ['vocabulary'] }],
+      schedule,
+      publishedAt: published.publishedAt
+    });
+    expect(() => storage.publishLessonDraft('missing')).toThrow('Lesson draft not found');
+  });
+
+  test('reports unavailable storage without throwing on reads', () => {
+    const storage = new TwibbleStorage({ backend: null });
+
+    expect(storage.isAvailable()).toBe(false);
+    expect(storage.getUserSettings()).toBeNull();
+    expect(() => storage.putStudentLessons([])).toThrow('Browser storage is not available');
+  });
+});
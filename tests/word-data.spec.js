@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { WordData } = require('../src/js/word-data.js');
+const dictionary = require('../src/data/consolidated_words.json');
+
+const createWordData = () => {
+  const wordData = new WordData({ assetBaseUrl: '../assets/words/' });
+  wordData.setDictionary(dictionary);
+  return wordData;
+};
+
+test.describe('Word Data', () => {
+
+  test('bundled dictionary entries are complete and chunks spell the word', () => {
+    Object.entries(dictionary.words).forEach(([word, entry]) => {
+      expect(entry.definition, word).toBeTruthy();
+      expect(['easy', 'medium', 'hard'], word).toContain(entry.difficulty);
+      expect(entry.phonics_chunks.join(''), word).toBe(word);
+      expect(entry.syllables.join(''), word).toBe(word);
+      // Asset paths are only listed for files that ship with the app
+      [entry.image_url, entry.audio_url].filter(Boolean).forEach(asset => {
+        expect(fs.existsSync(path.join(__dirname, '../src/assets/words', asset)), asset).toBe(true);
+      });
+    });
+  });
+
+  test('looks words up ignoring case, punctuation and possessives', () => {
+    const wordData = createWordData();
+
+    expect(wordData.lookup('  Elephant! ')).toMatchObject({
+      word: 'elephant',
+      partOfSpeech: 'noun',
+      difficulty: 'medium',
+      phonics: ['el', 'e', 'phant'],
+      imageUrl: null,
+      audioUrl: null,
+      inflected: false
+    });
+    expect(wordData.lookup("tiger's").word).toBe('tiger');
+  });
+
+  test('resolves asset paths against the asset base url', () => {
+    const wordData = new WordData({ assetBaseUrl: '../assets/words/' });
+    wordData.setDictionary({
+      words: {
+        owl: { definition: 'A bird', image_url: 'images/owl.png', audio_url: 'https://cdn.example.com/owl.mp3' }
+      }
+    });
+
+    expect(wordData.lookup('owl')).toMatchObject({
+      imageUrl: '../assets/words/images/owl.png',
+      audioUrl: 'https://cdn.example.com/owl.mp3'
+    });
+  });
+
+  test('falls back from plurals and -ing/-ed forms to the headword', () => {
+    const wordData = createWordData();
+    const headword = word => (wordData.lookup(word) || {}).word;
+
+    expect(headword('Cats')).toBe('cat');
+    expect(headword('cherries')).toBe('cherry');
+    expect(headword('leaves')).toBe('leaf');
+    expect(headword('hopping')).toBe('hop');
+    expect(headword('baking')).toBe('bake');
+    expect(headword('played')).toBe('play');
+    expect(headword('carried')).toBe('carry');
+    expect(headword('jumped')).toBe('jump');
+    expect(wordData.lookup('jumped').inflected).toBe(true);
+  });
+
+  test('flags unknown words only once the dictionary has loaded', () => {
+    const wordData = new WordData();
+    expect(wordData.describe('zebra')).toBeNull();
+
+    wordData.setDictionary(dictionary);
+    expect(wordData.describe('zebra')).toEqual({ word: 'zebra', known: false });
+    expect(wordData.describe('frogs').known).toBe(true);
+  });
+
+  test('keeps only lesson fields for known words', () => {
+    const wordData = createWordData();
+
+    expect(WordData.pickLessonFields(wordData.describe('zebra'))).toEqual({});
+    expect(Object.keys(WordData.pickLessonFields(wordData.describe('moon'))).sort()).toEqual(
+      ['definition', 'difficulty', 'partOfSpeech', 'phonics', 'syllables']
+    );
+  });
+});